@@ -0,0 +1,6 @@
+module.exports = {
+	// the image render workers load this file by path (see lib/renderer.js), so it has to be next to main.js
+	entry: {
+		'render-worker': { import: './lib/render-worker.js', filename: 'render-worker.js' },
+	},
+}
@@ -40,40 +40,50 @@ const UpgradeScripts = require('./lib/upgrades')
 
 // other library imports
 const { LocalCache } = require('./lib/cache')
+const { ReconnectManager } = require('./lib/reconnect')
+const { promiseify, rejectPendingCalls } = require('./lib/scheduler')
+const { MirrorConnection } = require('./lib/mirror')
+const { ImageRenderer } = require('./lib/renderer')
+const { normalizeDrawing } = require('./lib/drawing')
+const { RunClock } = require('./lib/runclock')
+const { AutoOutTimers } = require('./lib/autoout')
+const { VariableStore } = require('./lib/varstore')
+const { hostCapabilities } = require('./lib/capabilities')
 
 // We need to use a specific version (5.9) of QWebChannel because 5.15 which ships with CP 2.2.1
 // breaks compatibility with Captivate
 const QWebChannelEx = require('./contrib/qwebchannel').QWebChannel
 const WebSocket = require('ws')
-const { Jimp } = require('jimp')
-console.log(Jimp)
-
-const blankFull = new Jimp({ width: 72, height: 72, color: 0x00000000 })
-const blankFullBuffer = blankFull.getBuffer('image/png')
 
 const CACHE_LIFETIME = 250 // ms
 const USE_QWEBCHANNEL = true
 const DEFAULT_BORDER_WIDTH = 2
+const BUTTON_SIZE = 72 // pixels, when Companion doesn't tell us the size of the button
+const TOPBAR_HEIGHT = 14 // pixels on a standard button
+const TITLE_ICON_SIZE = 144 // twice the standard button, so icons stay sharp on larger and high-DPI surfaces
+const RECONNECT_BASE_DELAY = 1000 // ms
+const DEFAULT_RECONNECT_MAX_DELAY = 30 // seconds
+const DEFAULT_HEARTBEAT_INTERVAL = 5 // seconds
+const DEFAULT_HEARTBEAT_TIMEOUT = 3 // seconds
+const DEFAULT_CALL_TIMEOUT = 10 // seconds
+const DEFAULT_FAILBACK_INTERVAL = 15 // seconds
+const DEFAULT_IMAGE_CACHE_SIZE = 32 // MB
+const DEFAULT_IMAGE_RETRY_DELAY = 30 // seconds
+const DEFAULT_RENDER_WORKERS = 2
+const RUN_CLOCK_INTERVAL = 1000 // ms between updates of the elapsed and remaining time variables
+const DEFAULT_VARIABLE_SYNC_INTERVAL = 30 // seconds
+
+// how each kind of definition is sent to Companion, see publishDefinitions
+const DEFINITION_SETTERS = {
+	variables: 'setVariableDefinitions',
+	actions: 'setActionDefinitions',
+	feedbacks: 'setFeedbackDefinitions',
+	presets: 'setPresetDefinitions',
+}
 
 let debug = () => {}
 let error = () => {}
 
-function promiseify(func) {
-	return (...args) => {
-		return new Promise((resolve, reject) => {
-			// for scheduler calls, the last argument is a callback.
-			args.push((e) => {
-				resolve(e)
-			})
-			try {
-				func(...args)
-			} catch (e) {
-				reject(e)
-			}
-		})
-	}
-}
-
 class CaptivateInstance extends InstanceBase {
 	/** @var {Object} sp Version of the scheduler where all the functions have been wrapped with promises */
 	sp = {}
@@ -110,20 +120,101 @@ class CaptivateInstance extends InstanceBase {
 		 *
 		 * It also contains cached image data
 		 */
-		this.cache = new LocalCache()
+		this.cache = new LocalCache({ log: (level, message) => this.log(level, message) })
 		this.cache.setCacheLifetime(CACHE_LIFETIME)
+		this.cache.onImageFailuresChanged = (count) => {
+			this.setModuleVariables({ image_cache_failures: count })
+			this.updateConnectedStatus()
+		}
+		// images are looked up for every feedback check, so collect the changes for a second
+		this.cache.onImageStatsChanged = () => {
+			if (this.scheduleRunner?.has('image-cache-variables')) return
+			this.scheduleFunction('image-cache-variables', () => this.updateImageCacheVariables(), 1000)
+		}
+
+		/** composites feedback images (overlays and borders) in worker threads */
+		this.renderer = new ImageRenderer({
+			workers: DEFAULT_RENDER_WORKERS,
+			log: (level, message) => this.log(level, message),
+		})
 
 		/** @type {Map<string, Promise>} debounce Captivate requests with promises */
 		this.promises = new Map()
 
-		this.titlesPlayStatus = []
+		/** @type {{[titleId: string]: string}} play state of each title, keyed by title id */
+		this.titlesPlayStatus = {}
 		this.titlesImage = []
 		this.titlesByName = {}
+		this.titlesById = {}
 		this.titles = []
 		this.variableNames = []
 
-		// mapping from varid to {title, varname, value}
+		// mapping from varid to {title, varname}
 		this.varData = {}
+
+		/** @type {{[aliasId: string]: string}} variable ids made from title names, mapped to the stable ids, see resolveVarId */
+		this.varAliases = {}
+
+		/** the values of the title variables, kept in sync with Captivate, see setVar and syncVariables */
+		this.varStore = new VariableStore()
+
+		/** how long each title and layer has been running */
+		this.runClock = new RunClock()
+
+		/** titles played in for a limited time, see the titlePlayForAction */
+		this.autoOuts = new AutoOutTimers({
+			onFire: (titleId, command) => this.scheduleAction(command, '', titleId, {}).catch((e) => this.error(e)),
+			onChange: () => {
+				this.setModuleVariables({ auto_out_pending: this.autoOuts.size })
+				this.updateRunTimeVariables()
+			},
+		})
+
+		/** variable definitions for the titles in the project, see getCurrentTitles */
+		this.titleVarDefinitions = []
+
+		/** @type {{[layerKey: string]: object[]}} variable definitions for the layers seen in the layer states */
+		this.layerVarDefinitions = {}
+
+		/** @type {Set<string>} the layers in the last layer states, see trackLayerStates */
+		this.layerStateKeys = new Set()
+
+		/** @type {{[variableId: string]: string|number}} values of the variables that don't come from titles */
+		this.moduleVarValues = {}
+
+		/** @type {{[variableId: string]: any}} values of the title, play state and run time variables Companion has */
+		this.varValues = {}
+
+		/** @type {Map<string, string>} what we last sent Companion for each kind of definition, see publishDefinitions */
+		this.publishedDefinitions = new Map()
+
+		/** set by destroy, after which the module must not talk to Companion anymore */
+		this.destroyed = false
+
+		/** scheduler calls that are still waiting for a reply from Captivate */
+		this.pendingCalls = new Set()
+
+		/** what the connected Captivate host can do, see setHostVersionInfo */
+		this.capabilities = hostCapabilities(undefined)
+
+		/** @type {WebSocket|undefined} the only socket we keep alive */
+		this.socket = undefined
+
+		/** index of the host we are connected to in getServerUrls() */
+		this.hostIndex = 0
+
+		/** @type {MirrorConnection[]} secondary hosts that receive a copy of every action */
+		this.mirrors = []
+
+		this.reconnect = new ReconnectManager({
+			baseDelay: RECONNECT_BASE_DELAY,
+			onChange: ({ attempts, nextRetryAt }) => {
+				this.setModuleVariables({
+					connection_attempts: attempts,
+					connection_next_retry: nextRetryAt ? nextRetryAt.toISOString() : '',
+				})
+			},
+		})
 	}
 
 	// Called by Companion on connection initialization
@@ -151,14 +242,48 @@ class CaptivateInstance extends InstanceBase {
 	startExtraLogging(delay = 250) {
 		this.debug('Starting extra logging for ' + delay + 'ms')
 		this.extraLogging = true
-		setTimeout(() => {
-			this.extraLogging = false
-		}, delay)
+		this.scheduleFunction(
+			'extra-logging',
+			() => {
+				this.extraLogging = false
+			},
+			delay,
+		)
 	}
 
 	// Called when module gets deleted
 	async destroy() {
 		this.debug('destroy called')
+		// Companion has forgotten this connection, so nothing may send it variables anymore
+		this.destroyed = true
+		this.shutdown()
+		this.renderer.close()
+	}
+
+	/**
+	 * Release everything that keeps this connection alive: signal subscriptions, the socket,
+	 * the heartbeat, pending reconnects, scheduled functions, and scheduler calls awaiting a reply.
+	 * After this, nothing will run again until initQWebChannel is called.
+	 */
+	shutdown() {
+		// disconnect signals while the socket can still tell Captivate about it
+		this.disconnectCallbacks()
+		this.closeSocket()
+		this.reconnect.cancel()
+		this.autoOuts.cancelAll()
+		for (const mirror of this.mirrors) {
+			mirror.close()
+		}
+		this.mirrors = []
+		rejectPendingCalls(this.pendingCalls, 'connection shut down')
+
+		if (this.scheduleRunner) {
+			for (const timer of this.scheduleRunner.values()) {
+				clearTimeout(timer)
+			}
+			this.scheduleRunner.clear()
+		}
+		this.extraLogging = false
 	}
 
 	async configUpdated(config) {
@@ -166,6 +291,25 @@ class CaptivateInstance extends InstanceBase {
 		this.config.needsNewConfig = false
 		this.debug('Configuration Changed')
 		this.debug(config)
+		// start over with a clean slate, so nothing from the previous configuration keeps running
+		this.shutdown()
+		this.reconnect.maxDelay = (this.config.reconnect_max_delay || DEFAULT_RECONNECT_MAX_DELAY) * 1000
+		this.reconnect.reset()
+		this.hostIndex = 0
+		this.runClock.clear()
+		this.layerVarDefinitions = {}
+		this.layerStateKeys = new Set()
+		this.varAliases = {}
+		this.cache.setImageCacheSize((this.config.image_cache_size || DEFAULT_IMAGE_CACHE_SIZE) * 1024 * 1024)
+		this.cache.setImageRetryPolicy({ baseDelay: (this.config.image_retry_delay || DEFAULT_IMAGE_RETRY_DELAY) * 1000 })
+		this.cache.clearImageFailures()
+		this.renderer.setWorkerCount(this.config.render_workers ?? DEFAULT_RENDER_WORKERS)
+		// Companion forgets the title variables with their definitions, so they are all sent again once loaded
+		this.publishedDefinitions.clear()
+		this.varValues = {}
+		this.publishDefinitions('variables', this.getModuleVariableDefinitions())
+		this.initMirrors()
+		this.setVariableValues(this.moduleVarValues)
 		if (this.USE_QWEBCHANNEL) {
 			this.initQWebChannel()
 		} else {
@@ -177,12 +321,18 @@ class CaptivateInstance extends InstanceBase {
 		// this.allowsFeedbackCacheRebuilding = true // will be changed from feedbacks.js
 
 		await this.getCurrentTitles()
+		this.cache.pruneExpired()
+		this.cache.pruneImageFailures()
+		this.updateImageCacheVariables()
 		this.setupFeedbacks() // from feedbacks.js
 		this.setupActions() // from actions.js
 		this.initPresets() // from presets.js
 
+		// the connection may have been shut down while we were waiting for titles
+		if (this.USE_QWEBCHANNEL && !this.socket) return
+
 		// schedule another refresh in 5 minutes
-		this.scheduleFunction('refresh', () => this.refreshIntegrations(), 300_000)
+		this.scheduleFunction('refresh', () => this.refreshIntegrations().catch((e) => this.error(e)), 300_000)
 	}
 
 	/**
@@ -195,28 +345,27 @@ class CaptivateInstance extends InstanceBase {
 		}
 
 		this.log('debug', JSON.stringify(this.config))
-		let serverUrl = null
-		if (this.config.bonjour_host) {
-			serverUrl = `ws://${this.config.bonjour_host}` // will contain port
-		} else {
-			let port = this.config.port || 9023 // config defaults to 9023
-			let host = this.config.host || '127.0.0.1' // config defaults to '127.0.0.1'
-			this.config.port = port
-			this.config.host = host
-			serverUrl = `ws://${host}:${port}`
-		}
+		const serverUrls = this.getServerUrls()
+		if (this.hostIndex >= serverUrls.length) this.hostIndex = 0
+		const serverUrl = serverUrls[this.hostIndex]
 		this.log('debug', `connecting to ${serverUrl}`)
 		if (!serverUrl) return
 
+		// there must only ever be one socket alive
+		this.closeSocket()
+		this.reconnect.cancel()
+
 		this.updateStatus(InstanceStatus.Connecting)
 		let socket = new WebSocket(serverUrl)
+		this.socket = socket
 
 		socket.on('open', () => {
 			this.log('debug', 'A Connection to Captivate has been established')
+			this.reconnect.reset()
 
-			if (this.connectionWatchdog != undefined) {
-				clearTimeout(this.connectionWatchdog)
-				this.connectionWatchdog = undefined
+			// we are on a backup, so keep an eye out for the primary coming back
+			if (this.hostIndex > 0 && this.config.failback) {
+				this.startFailbackProbe()
 			}
 
 			// Establish API connection.
@@ -227,14 +376,14 @@ class CaptivateInstance extends InstanceBase {
 				// wrap scheduler functions in promises... do this first!
 				this.wrapScheduler()
 
+				// only now can we actually talk to this host
+				this.setModuleVariables({ connection_active_host: serverUrl.replace(/^ws:\/\//, '') })
+
 				// call the other setup functions
 				this.connectCallbacks()
-				this.getImageSet()
-				this.refreshIntegrations()
+				this.getImageSet().catch((e) => this.error(e))
 
 				// let Captivate know who we are and that we've connected, to customize behaviour and/or trigger startup logic
-				let reply = await this.sp.notifyClientConnected('com.newblue.companion-module-captivate', '3.0', {})
-
 				//host version reply will look like this:
 				/*
           {
@@ -246,44 +395,387 @@ class CaptivateInstance extends InstanceBase {
               "version": "5.9.240213"
           }
         */
-				this.hostVersionInfo = JSON.parse(reply)
-				debug(`Captivate: Host data:`)
-				debug(this.hostVersionInfo)
+				// a host that doesn't answer, or answers something we can't read, is treated like one that
+				// doesn't say what it is. The heartbeat takes care of hosts that stop answering altogether
+				let hostVersionInfo
+				try {
+					const reply = await this.sp.notifyClientConnected('com.newblue.companion-module-captivate', '3.0', {})
+					hostVersionInfo = JSON.parse(reply)
+				} catch (e) {
+					this.error(`could not get the host version: ${e}`)
+					// the socket closed while we were waiting, and its 'close' handler is already reconnecting
+					if (socket !== this.socket) return
+					// without a heartbeat nobody would notice the host stopped answering, so start over now
+					if (e.reason === 'timeout' && !this.heartbeatEnabled()) {
+						this.updateStatus(InstanceStatus.ConnectionFailure, 'Captivate did not answer')
+						this.closeSocket()
+						this.scheduleReconnect()
+						return
+					}
+				}
+				this.setHostVersionInfo(hostVersionInfo)
+
+				// the definitions depend on what the host can do
+				this.refreshIntegrations().catch((e) => this.error(e))
 
 				// tell companion we connected successfully
-				this.updateStatus(InstanceStatus.Ok)
+				this.connected = true
+				this.updateConnectedStatus()
+
+				// a closed socket can take minutes to be noticed, so keep asking Captivate if it's still there
+				this.startHeartbeat()
+				this.startRunClock()
+				this.startVariableSync()
 			})
 		})
 
 		socket.on('error', (data) => {
+			if (socket !== this.socket) return
 			this.updateStatus(InstanceStatus.BadConfig)
-			this.log('warning', `NewBlue: Captivate: Connection error ${data}.`)
-			this.status && this.status(this.STATUS_WARNING, 'Disconnected')
+			this.log('warn', `NewBlue: Captivate: Connection error ${data}.`)
 			this.config.needsNewConfig = true
 			// this.config.port = ''
 			// this.config.host = ''
 		})
 
+		// 'close' also follows an 'error', so this is the only place we schedule another attempt
 		socket.on('close', () => {
+			if (socket !== this.socket) return
+			this.socket = undefined
+			this.connected = false
+			this.stopHeartbeat()
+			this.stopFailbackProbe()
+			rejectPendingCalls(this.pendingCalls, 'connection closed')
+			this.setModuleVariables({ connection_active_host: '' })
 			this.updateStatus(InstanceStatus.Disconnected)
-			this.log('warning', 'NewBlue: Captivate: Connection closed.')
-			this.status && this.status(this.STATUS_WARNING, 'Disconnected')
-
-			if (this.connectionWatchdog == undefined) {
-				// let's periodically try to make a connection again
-				this.connectionWatchdog = setInterval(() => {
-					this.initQWebChannel()
-				}, 5000)
-			}
+			this.log('warn', 'NewBlue: Captivate: Connection closed.')
+
+			// let's try to make a connection again, waiting a little longer every time
+			this.scheduleReconnect()
 		})
 	} // end: initQWebChannel
 
+	/**
+	 * Close the current socket without triggering a reconnection
+	 */
+	closeSocket() {
+		this.connected = false
+		this.stopHeartbeat()
+		this.stopFailbackProbe()
+		const socket = this.socket
+		if (!socket) return
+		this.socket = undefined
+		rejectPendingCalls(this.pendingCalls, 'connection closed')
+		this.setModuleVariables({ connection_active_host: '' })
+		socket.removeAllListeners()
+		socket.on('error', () => {}) // terminating a socket that is still connecting will emit an error
+		socket.terminate()
+	}
+
+	/**
+	 * Periodically make a cheap query to Captivate. If the reply doesn't arrive in time,
+	 * the connection is considered dead and we reconnect.
+	 */
+	startHeartbeat() {
+		this.stopHeartbeat()
+		const interval = (this.config.heartbeat_interval ?? DEFAULT_HEARTBEAT_INTERVAL) * 1000
+		const timeout = (this.config.heartbeat_timeout || DEFAULT_HEARTBEAT_TIMEOUT) * 1000
+		if (!this.heartbeatEnabled()) return
+
+		const socket = this.socket
+		let waiting = false
+		this.heartbeatTimer = setInterval(async () => {
+			// the previous heartbeat is still pending, its own timeout will handle it
+			if (waiting) return
+			waiting = true
+
+			let timer
+			const missed = new Promise((resolve) => {
+				timer = setTimeout(() => resolve(true), timeout)
+			})
+			const answered = this.sp._cmp_v1_query('lastUpdateTime').then(
+				() => false,
+				() => false,
+			)
+			const isMissed = await Promise.race([answered, missed])
+			clearTimeout(timer)
+			waiting = false
+
+			// the connection might have been replaced while we were waiting
+			if (socket !== this.socket) return
+			if (isMissed) this.handleMissedHeartbeat(timeout)
+		}, interval)
+	}
+
+	/**
+	 * @returns {boolean} whether the configuration asks for a heartbeat at all
+	 */
+	heartbeatEnabled() {
+		return (this.config.heartbeat_interval ?? DEFAULT_HEARTBEAT_INTERVAL) > 0
+	}
+
+	stopHeartbeat() {
+		if (this.heartbeatTimer != undefined) {
+			clearInterval(this.heartbeatTimer)
+			this.heartbeatTimer = undefined
+		}
+	}
+
+	/**
+	 * Captivate didn't answer the heartbeat in time, so drop the connection and try again
+	 *
+	 * @param {number} timeout milliseconds we waited for the reply
+	 */
+	handleMissedHeartbeat(timeout) {
+		const reason = `Captivate did not answer within ${timeout / 1000}s`
+		this.log('warn', `NewBlue: Captivate: Heartbeat missed. ${reason}.`)
+		this.updateStatus(InstanceStatus.ConnectionFailure, reason)
+		this.closeSocket()
+		this.scheduleReconnect()
+	}
+
+	/**
+	 * Try the next host in the list right away. Once every host has been tried,
+	 * start over with the primary after the backoff delay.
+	 */
+	scheduleReconnect() {
+		const hostCount = this.getServerUrls().length
+		this.hostIndex = (this.hostIndex + 1) % hostCount
+		const failover = this.hostIndex != 0
+		const delay = this.reconnect.schedule(() => this.initQWebChannel(), failover ? 0 : undefined)
+		this.log('debug', `reconnecting to Captivate in ${delay}ms (attempt ${this.reconnect.attempts})`)
+	}
+
+	/**
+	 * Connect to the mirror hosts from the configuration
+	 */
+	initMirrors() {
+		const updateVariable = () => {
+			const connected = this.mirrors.filter((mirror) => mirror.connected).length
+			this.setModuleVariables({ connection_mirrors: `${connected}/${this.mirrors.length}` })
+		}
+		this.mirrors = parseHostList(this.config.mirror_hosts).map(
+			(url) =>
+				new MirrorConnection(url, {
+					log: (level, message) => this.log(level, message),
+					onChange: updateVariable,
+					maxDelay: this.reconnect.maxDelay,
+				}),
+		)
+		updateVariable()
+		for (const mirror of this.mirrors) {
+			mirror.connect()
+		}
+	}
+
+	/**
+	 * Repeat a scheduler call on every mirror host, except one we are already connected to
+	 *
+	 * @param {string} method
+	 * @param  {...any} args
+	 */
+	sendToMirrors(method, ...args) {
+		const activeUrl = this.socket ? this.getServerUrls()[this.hostIndex] : undefined
+		for (const mirror of this.mirrors) {
+			if (mirror.url == activeUrl) continue
+			mirror.send(method, ...args)
+		}
+	}
+
+	/**
+	 * Perform an action from the automation registry on Captivate and its mirrors
+	 *
+	 * @param {string} target the full id of the action
+	 * @param {object} options
+	 */
+	performAction(target, options) {
+		this.sendToMirrors('_cmp_v1_performAction', target, options)
+		this.scheduler._cmp_v1_performAction(target, options)
+	}
+
+	/**
+	 * Schedule an action on a title on Captivate and its mirrors
+	 *
+	 * @param {string} command e.g. 'update' or 'animin'
+	 * @param {string} queue
+	 * @param {string} titleId
+	 * @param {object} data variable values to apply
+	 * @returns {Promise<any>} resolves when the primary host replies
+	 */
+	scheduleAction(command, queue, titleId, data) {
+		this.sendToMirrors('scheduleAction', command, queue, titleId, data)
+		return this.sp.scheduleAction(command, queue, titleId, data)
+	}
+
+	/**
+	 * The Captivate hosts we can connect to, in order of preference. The first one is the primary.
+	 *
+	 * @returns {string[]} websocket urls
+	 */
+	getServerUrls() {
+		let primary
+		if (this.config.bonjour_host) {
+			primary = `ws://${this.config.bonjour_host}` // will contain port
+		} else {
+			let port = this.config.port || 9023 // config defaults to 9023
+			let host = this.config.host || '127.0.0.1' // config defaults to '127.0.0.1'
+			this.config.port = port
+			this.config.host = host
+			primary = makeServerUrl(host.replace(/^\[(.*)\]$/, '$1'), port)
+		}
+
+		return [primary, ...parseHostList(this.config.backup_hosts)]
+	}
+
+	/**
+	 * While connected to a backup host, periodically check whether the primary host
+	 * accepts connections again, and switch back to it when it does.
+	 */
+	startFailbackProbe() {
+		this.stopFailbackProbe()
+		const primaryUrl = this.getServerUrls()[0]
+		const interval = (this.config.failback_interval || DEFAULT_FAILBACK_INTERVAL) * 1000
+
+		this.failbackTimer = setInterval(() => {
+			if (this.failbackProbe) return
+			const probe = new WebSocket(primaryUrl)
+			this.failbackProbe = probe
+			probe.on('open', () => {
+				this.stopFailbackProbe()
+				this.log('info', `NewBlue: Captivate: Primary host ${primaryUrl} is back, switching to it.`)
+				this.hostIndex = 0
+				this.initQWebChannel()
+			})
+			probe.on('error', () => {}) // the primary is still down, 'close' will follow
+			probe.on('close', () => {
+				if (this.failbackProbe === probe) this.failbackProbe = undefined
+			})
+		}, interval)
+	}
+
+	stopFailbackProbe() {
+		if (this.failbackTimer != undefined) {
+			clearInterval(this.failbackTimer)
+			this.failbackTimer = undefined
+		}
+		if (this.failbackProbe) {
+			const probe = this.failbackProbe
+			this.failbackProbe = undefined
+			probe.removeAllListeners()
+			probe.on('error', () => {})
+			probe.terminate()
+		}
+	}
+
+	/**
+	 * The variables that describe the module itself rather than the Captivate project
+	 *
+	 * @returns {{name: string, variableId: string}[]}
+	 */
+	getModuleVariableDefinitions() {
+		return [
+			{ name: 'Connection: Reconnect Attempts', variableId: 'connection_attempts' },
+			{ name: 'Connection: Next Reconnect Time', variableId: 'connection_next_retry' },
+			{ name: 'Connection: Active Host', variableId: 'connection_active_host' },
+			{ name: 'Connection: Connected Mirror Hosts', variableId: 'connection_mirrors' },
+			{ name: 'Image Cache: Size (KB)', variableId: 'image_cache_kb' },
+			{ name: 'Image Cache: Hits', variableId: 'image_cache_hits' },
+			{ name: 'Image Cache: Misses', variableId: 'image_cache_misses' },
+			{ name: 'Image Cache: Evictions', variableId: 'image_cache_evictions' },
+			{ name: 'Image Cache: Failing Images', variableId: 'image_cache_failures' },
+			{ name: 'Auto Out: Pending Titles', variableId: 'auto_out_pending' },
+			{ name: 'Host: Product', variableId: 'host_name' },
+			{ name: 'Host: Edition', variableId: 'host_edition' },
+			{ name: 'Host: SKU', variableId: 'host_sku' },
+			{ name: 'Host: Version', variableId: 'host_version' },
+			{ name: 'Host: Build Date', variableId: 'host_build_date' },
+			{ name: 'Host: Platform', variableId: 'host_platform' },
+		]
+	}
+
+	/**
+	 * Remember what the connected host told us about itself, and what it can do because of that
+	 *
+	 * @param {{host?: string, platform?: string, sku?: string, version?: string, buildDate?: string}} info
+	 */
+	setHostVersionInfo(info) {
+		this.hostVersionInfo = info
+		this.capabilities = hostCapabilities(info)
+		this.debug('Captivate: Host data:', info, this.capabilities)
+		this.setModuleVariables({
+			host_name: info?.host ?? '',
+			host_edition: this.capabilities.edition ?? '',
+			host_sku: info?.sku ?? '',
+			host_version: info?.version ?? '',
+			host_build_date: info?.buildDate ?? '',
+			host_platform: info?.platform ?? '',
+		})
+	}
+
+	/**
+	 * Feedback ids from hosts without scopes get the global scope, so they match the saved buttons
+	 * (see the upgrade scripts) whichever host we are connected to. No build is known to have started
+	 * sending scopes, so this looks at every id instead of the host version.
+	 *
+	 * @param {string} fullId `actor~scope~feedback`, or `actor~feedback`
+	 * @returns {string}
+	 */
+	scopeFeedbackId(fullId) {
+		if (fullId.split('~').length != 2) return fullId
+		const [actorId, feedbackId] = fullId.split('~')
+		return `${actorId}~global~${feedbackId}`
+	}
+
+	/**
+	 * While connected, the status is Ok unless some images keep failing to load
+	 */
+	updateConnectedStatus() {
+		if (!this.connected) return
+		const failing = this.cache.failingImageCount
+		if (failing > 0) {
+			this.updateStatus(InstanceStatus.UnknownWarning, `${failing} image${failing == 1 ? '' : 's'} failed to load`)
+		} else {
+			this.updateStatus(InstanceStatus.Ok)
+		}
+	}
+
+	updateImageCacheVariables() {
+		const { bytes, hits, misses, evictions } = this.cache.imageStats
+		this.setModuleVariables({
+			image_cache_kb: Math.round(bytes / 1024),
+			image_cache_hits: hits,
+			image_cache_misses: misses,
+			image_cache_evictions: evictions,
+		})
+	}
+
+	/**
+	 * Update module variables, remembering their values so they survive variable redefinitions.
+	 * Only values that changed are sent to Companion.
+	 *
+	 * @param {{[variableId: string]: string|number}} values
+	 */
+	setModuleVariables(values) {
+		if (this.destroyed) return
+		const changed = {}
+		for (const [variableId, value] of Object.entries(values)) {
+			if (this.moduleVarValues[variableId] !== value) changed[variableId] = value
+		}
+		if (Object.keys(changed).length == 0) return
+		Object.assign(this.moduleVarValues, changed)
+		this.setVariableValues(changed)
+	}
+
 	/** wrap the scheduler functions in promises so we can use them with async/await paradigms */
 	wrapScheduler() {
 		this.scheduler.promised = {}
+		const callOptions = {
+			timeout: () => (this.config.call_timeout ?? DEFAULT_CALL_TIMEOUT) * 1000,
+			pending: this.pendingCalls,
+		}
 		for (let [k, v] of Object.entries(this.scheduler)) {
 			if (typeof v == 'function') {
-				this.scheduler.promised[k] = promiseify(v)
+				this.scheduler.promised[k] = promiseify(k, v, callOptions)
 			} else if (typeof v == 'object' && v.connect) {
 				v._connect = v.connect
 				v.connect = (fn) => {
@@ -305,25 +797,202 @@ class CaptivateInstance extends InstanceBase {
 		// companion will assume it's png data
 		const includeMimePrefix = false
 		const reply = await this.sp.getImageSet('automation.glow.base', includeMimePrefix)
+		// keep the images we have when there is no image set in the reply
+		if (!reply || typeof reply != 'object') throw new Error(`no image set in the reply: ${reply}`)
+
+		// the previous image set might have images that are no longer part of it
+		this.cache.invalidateImageGroup('imageset')
 		for (let [name, data] of Object.entries(reply)) {
 			this.debug(`caching image data for: ${name}`, data)
-			this.cache.setImageData(name, data)
+			this.cache.setImageData(name, data, 'imageset')
 		}
+		this.updateImageCacheVariables()
 	}
 
 	/**
 	 * Creates a Companion-style variable definition from a Captivate title and variable name.
+	 * The id follows the title id, so it stays the same when the title is renamed.
 	 *
 	 * @param {string} title A Captivate title object
 	 * @param {string} varname A Captivate variable name
-	 * @returns
+	 * @returns {{name: string, variableId: string}}
 	 */
 	makeVarDefinition(title, varname) {
 		const name = `${title.name}: ${varname}` // the label
+		const variableId = `title_${makeIdPart(title.id)}__${varname.toLowerCase().replace(/[^a-z0-9]/g, '_')}`
+		return { name, variableId }
+	}
+
+	/**
+	 * The readable variable id made from the title name, which is kept in sync with the stable one.
+	 * Renaming the title changes it, see resolveVarId.
+	 *
+	 * @param {string} title A Captivate title object
+	 * @param {string} varname A Captivate variable name
+	 * @returns {{name: string, variableId: string}}
+	 */
+	makeVarAliasDefinition(title, varname) {
+		const name = `${title.name}: ${varname} (by title name)`
 		const variableId = `${title.name}__${varname}`.toLowerCase().replace(/[^a-zA-Z0-9]/g, '_')
 		return { name, variableId }
 	}
 
+	/**
+	 * Find the variable for an id saved in an action, which may be a readable id from before a rename.
+	 *
+	 * @param {string} varid
+	 * @returns {string|undefined} the stable variable id, if the variable is in the project
+	 */
+	resolveVarId(varid) {
+		if (varid in this.varData) return varid
+		const stableId = this.varAliases[varid]
+		return stableId in this.varData ? stableId : undefined
+	}
+
+	/**
+	 * Remember which readable variable ids belong to which stable ids, including the ones of titles
+	 * that were renamed. They are kept in the config, so the next session knows them too.
+	 * Aliases of variables that are gone from the project are dropped.
+	 *
+	 * @param {{[titleId: string]: string}} previousNames title names from before the titles were loaded again
+	 */
+	updateVarAliases(previousNames) {
+		const aliases = {}
+		for (const [aliasId, stableId] of Object.entries({ ...this.config.variable_aliases, ...this.varAliases })) {
+			if (stableId in this.varData) aliases[aliasId] = stableId
+		}
+		for (const title of this.titles) {
+			const previousName = previousNames[title.id]
+			if (previousName != undefined && previousName != title.name) {
+				this.log('info', `Title "${previousName}" was renamed to "${title.name}", its variables keep their ids`)
+			}
+			for (const variable of title.variables) {
+				const aliasId = this.makeVarAliasDefinition(title, variable.variable).variableId
+				aliases[aliasId] = this.makeVarDefinition(title, variable.variable).variableId
+			}
+		}
+		this.varAliases = aliases
+
+		const saved = this.config.variable_aliases ?? {}
+		const changed =
+			Object.keys(aliases).length != Object.keys(saved).length ||
+			Object.keys(aliases).some((aliasId) => saved[aliasId] !== aliases[aliasId])
+		if (changed) {
+			this.config.variable_aliases = aliases
+			const { needsNewConfig: _, ...config } = this.config
+			this.saveConfig(config)
+		}
+	}
+
+	/**
+	 * Every title that has a variable with this name, with the Companion variable id of that variable.
+	 *
+	 * @param {string} varname A Captivate variable name, as listed in `this.variableNames`
+	 * @returns {{title: any, variableId: string}[]}
+	 */
+	findVariableAcrossTitles(varname) {
+		return this.titles
+			.filter((title) => title.variables.some((variable) => variable.variable == varname))
+			.map((title) => ({ title, variableId: this.makeVarDefinition(title, varname).variableId }))
+	}
+
+	/**
+	 * Creates the Companion variable definition that holds the play state of a Captivate title.
+	 *
+	 * Like the ids of the title variables, the id follows the title id. It starts with what it holds
+	 * instead of `title_`, and has no double underscores, so no title variable can have the same id.
+	 *
+	 * @param {any} title A Captivate title object
+	 * @returns {{name: string, variableId: string}}
+	 */
+	makePlayStateVarDefinition(title) {
+		const name = `${title.name}: Play State`
+		const variableId = `play_state_title_${makeIdPart(title.id)}`
+		return { name, variableId }
+	}
+
+	/**
+	 * Variables for how long a title or layer has been running, and how long it has left.
+	 * The ids are made like the play state id, see makePlayStateVarDefinition.
+	 *
+	 * @param {string} key the title id or layer key
+	 * @param {any} [title] the Captivate title object, unless it is a layer that isn't a project title
+	 * @returns {{elapsed: {name: string, variableId: string}, remaining: {name: string, variableId: string}}}
+	 */
+	makeRunTimeVarDefinitions(key, title = undefined) {
+		const label = title ? title.name : `Layer ${key}`
+		const id = title ? `title_${makeIdPart(title.id)}` : `layer_${makeIdPart(key)}`
+		return {
+			elapsed: { name: `${label}: Elapsed Seconds`, variableId: `elapsed_${id}` },
+			remaining: { name: `${label}: Remaining Seconds`, variableId: `remaining_${id}` },
+		}
+	}
+
+	/**
+	 * The variable that counts down until a title played with the titlePlayForAction is taken out.
+	 * The id is made like the play state id, see makePlayStateVarDefinition.
+	 *
+	 * @param {any} title A Captivate title object
+	 * @returns {{name: string, variableId: string}}
+	 */
+	makeAutoOutVarDefinition(title) {
+		const name = `${title.name}: Auto Out Seconds`
+		const variableId = `auto_out_title_${makeIdPart(title.id)}`
+		return { name, variableId }
+	}
+
+	/**
+	 * Define the module, title and layer variables together, since Companion replaces all definitions at once
+	 */
+	updateVariableDefinitions() {
+		this.publishDefinitions('variables', [
+			...this.getModuleVariableDefinitions(),
+			...this.titleVarDefinitions,
+			...Object.values(this.layerVarDefinitions).flat(),
+		])
+	}
+
+	/**
+	 * Send definitions to Companion, unless they are the same as the ones we sent last time.
+	 * Companion redraws its editors for every update, which resets dropdowns people are editing.
+	 *
+	 * Callbacks are left out of the comparison. They only read the module state when they run,
+	 * so the ones Companion already has keep working.
+	 *
+	 * @param {'variables'|'actions'|'feedbacks'|'presets'} kind
+	 * @param {object} definitions
+	 * @returns {boolean} true when the definitions were sent
+	 */
+	publishDefinitions(kind, definitions) {
+		const fingerprint = JSON.stringify(definitions)
+		if (this.publishedDefinitions.get(kind) === fingerprint) {
+			this.debug(`${kind} have not changed, not publishing them`)
+			return false
+		}
+		this.publishedDefinitions.set(kind, fingerprint)
+		this[DEFINITION_SETTERS[kind]](definitions)
+		return true
+	}
+
+	/**
+	 * The name under which a title's icon is kept in the image cache
+	 *
+	 * @param {any} title A Captivate title object
+	 * @returns {string}
+	 */
+	makeTitleIconKey(title) {
+		return `newblue.title.icon.${title.id}`
+	}
+
+	/**
+	 * @param {any} title A Captivate title object
+	 * @returns {Promise<string|undefined>} the title's icon as base64 png data, if Captivate sent one
+	 */
+	async getTitleIcon(title) {
+		if (!title?.hasIcon) return undefined
+		return this.cache.getImageData(this.makeTitleIconKey(title))
+	}
+
 	// only visible to companion, so it doesn't have to follow the entire newblue action schema
 	makeCustomActionId(actionName) {
 		return `newblue.automation.js.${actionName}`
@@ -346,43 +1015,109 @@ class CaptivateInstance extends InstanceBase {
 
 	/**
 	 * Gets all the information for the current project titles and uses that information to
-	 * - cache the icons for each title -- TODO
+	 * - cache the icons for each title
 	 * - set up companion variables for each title variable
 	 * - set up companion variables for each data controller variable
 	 */
 	async getCurrentTitles() {
-		const varDefinitions = []
-		this.varData = {}
-		this.varValues = {}
-		const reply = await this.sp.scheduleCommand('getTitleControlInfo', { icon: 1, height: 72, width: 72 }, {})
+		const reply = await this.sp.scheduleCommand(
+			'getTitleControlInfo',
+			{ icon: 1, height: TITLE_ICON_SIZE, width: TITLE_ICON_SIZE },
+			{},
+		)
 		try {
 			const data = JSON.parse(reply)
+			const titles = data.titles ?? []
+			titles.reverse() // they always come in backward
+
+			// build everything before replacing it, so the variables keep working until the reply is read
+			const varDefinitions = []
+			const varData = {}
+			const varValues = {}
+			const titlesByName = {}
+			const titlesById = {}
 			let varnames = new Set()
-			this.titlesByName = {}
-			this.titlesById = {}
-			this.titles.reverse() // they always come in backward
-			this.titles = data.titles ?? []
-			this.titles.reverse()
-			for (let title of this.titles) {
-				this.titlesByName[title.name] = title
-				this.titlesById[title.id] = title
+			this.cache.invalidateImageGroup('title-icons')
+			for (let title of titles) {
+				titlesByName[title.name] = title
+				titlesById[title.id] = title
+
+				// the icon comes as base64 png data, and we only need it through the image cache
+				if (typeof title.icon == 'string' && title.icon) {
+					this.cache.setImageData(
+						this.makeTitleIconKey(title),
+						title.icon.replace(/^data:image\/\w+;base64,/, ''),
+						'title-icons',
+					)
+					title.hasIcon = true
+					delete title.icon
+				}
+
+				// prefer the play state Captivate reports, otherwise keep the last one we saw in a play event
+				const playState =
+					title.play != undefined ? normalizePlayState(title.play) : (this.titlesPlayStatus[title.id] ?? 'done')
+				this.titlesPlayStatus[title.id] = playState
+				let playDef = this.makePlayStateVarDefinition(title)
+				varDefinitions.push(playDef)
+				varValues[playDef.variableId] = playState
+
+				this.runClock.update(title.id, playState)
+				const runTimeDefs = this.makeRunTimeVarDefinitions(title.id, title)
+				varDefinitions.push(runTimeDefs.elapsed, runTimeDefs.remaining, this.makeAutoOutVarDefinition(title))
 
 				for (let variable of title.variables) {
 					let def = this.makeVarDefinition(title, variable.variable)
-					varDefinitions.push(def)
-					this.varData[def.variableId] = { title, varname: variable.variable, value: variable.value }
-					this.varValues[def.variableId] = variable.value
+					let alias = this.makeVarAliasDefinition(title, variable.variable)
+					varDefinitions.push(def, alias)
+					varData[def.variableId] = { title, varname: variable.variable }
+					varValues[def.variableId] = variable.value
+					varValues[alias.variableId] = variable.value
 					varnames.add(variable.variable)
 				}
 			}
+
+			const previousValues = this.varValues
+			const previousNames = Object.fromEntries(this.titles.map((title) => [title.id, title.name]))
+			this.titles = titles
+			this.titlesByName = titlesByName
+			this.titlesById = titlesById
+			this.CHOICES_TITLES = titles.map((title) => ({ id: title.id, label: title.name }))
+			this.varData = varData
+			this.varValues = varValues
 			this.variableNames = [...varnames.values()]
 			this.variableNames.sort()
+			this.varStore.replace(this.titles)
+			this.updateVarAliases(previousNames)
+
+			// readable ids from before a rename keep working in button text too
+			const definedIds = new Set(varDefinitions.map((def) => def.variableId))
+			for (const [aliasId, stableId] of Object.entries(this.varAliases)) {
+				if (definedIds.has(aliasId)) continue
+				const { title, varname } = varData[stableId]
+				varDefinitions.push({ name: `${title.name}: ${varname} (by earlier title name)`, variableId: aliasId })
+				varValues[aliasId] = varValues[stableId]
+			}
 
 			// setting variables doesn't seem to work
 			// this.debug(varDefinitions);
 			// this.debug(varValues);
-			this.setVariableDefinitions(varDefinitions)
-			this.setVariableValues(this.varValues)
+
+			// layers that are gone, or have become project titles, don't need their own variables anymore
+			for (const key of Object.keys(this.layerVarDefinitions)) {
+				if (this.layerStateKeys.has(key) && !this.titlesById[key]) continue
+				delete this.layerVarDefinitions[key]
+				if (!this.titlesById[key]) this.runClock.delete(key)
+			}
+			this.titleVarDefinitions = varDefinitions
+			this.updateVariableDefinitions()
+			this.updateRunTimeVariables(false)
+
+			// Companion keeps the values of variables that are still defined
+			const changed = {}
+			for (const [variableId, value] of Object.entries(this.varValues)) {
+				if (previousValues[variableId] !== value) changed[variableId] = value
+			}
+			if (Object.keys(changed).length > 0) this.setVariableValues(changed)
 			// this.setVariableDefinitions([{name: 'cool variable', variableId: 'cool_variable'}]);
 			// this.setVariableValues({'cool_variable': 'hello'})
 		} catch (e) {
@@ -395,6 +1130,7 @@ class CaptivateInstance extends InstanceBase {
 		for (const unsub of this.unsubscribers) {
 			unsub?.()
 		}
+		this.unsubscribers = []
 	}
 
 	/**
@@ -409,7 +1145,7 @@ class CaptivateInstance extends InstanceBase {
 				this.debug('Message from', from, 'to', to, 'data', data)
 				if (data.reload) {
 					this.debug('Reloading Companion')
-					this.refreshIntegrations()
+					this.refreshIntegrations().catch((e) => this.error(e))
 				}
 			}
 		})
@@ -424,7 +1160,7 @@ class CaptivateInstance extends InstanceBase {
 			this.debug(`****Captivate Automation Registry updated`, category, actorId)
 
 			// this method runs the first one and then ignores all subsequent calls for 1000ms
-			this.scheduleFunction('registry_refresh', () => this.refreshIntegrations(), 1000)
+			this.scheduleFunction('registry_refresh', () => this.refreshIntegrations().catch((e) => this.error(e)), 1000)
 		})
 		this.unsubscribers.push(unsub)
 
@@ -441,20 +1177,30 @@ class CaptivateInstance extends InstanceBase {
 			}
 			this.extraLog('Feedback change event received from Captivate:', { actorId, feedbackId, options, state })
 
-			const fullId = `${actorId}~${feedbackId}`
+			const fullId = this.scopeFeedbackId(`${actorId}~${feedbackId}`)
 
 			// if we are already processing this feedback, ignore it
 			if (feedbackDebounce.has(fullId)) return
 			feedbackDebounce.set(fullId, true)
-			setTimeout(() => {
-				feedbackDebounce.delete(fullId)
-			}, 100)
+			this.scheduleFunction(
+				`debounce-${fullId}`,
+				() => {
+					feedbackDebounce.delete(fullId)
+				},
+				100,
+			)
 
 			// did we get a new state object with data? if so, process it and cache it
 			const has_state = state && Object.keys(state).length > 0
 			if (has_state) {
-				state = await this._handleFeedbackState(state)
-				this.cache.storeFromFullId(fullId, options, state, CACHE_LIFETIME)
+				try {
+					state = await this._prepareFeedbackState(state)
+					this.cache.storeFromFullId(fullId, options, state, CACHE_LIFETIME)
+				} catch (e) {
+					// we couldn't finish the state, so let Companion ask for it again
+					this.error(e)
+					this.cache.removeFromFullId(fullId, options)
+				}
 			} else {
 				// we didn't get any state data, so we need to request it again
 				// console.log('Feedback change event had no state, clearing cache:', fullId)
@@ -479,7 +1225,7 @@ class CaptivateInstance extends InstanceBase {
 
 		// When Captivate issues a data event
 		this.unsubscribers.push(this.sp.onNotify.connect(this.handleNotification.bind(this)))
-		this.sp.scheduleCommand('subscribe', { events: 'play,data' }, {})
+		this.sp.scheduleCommand('subscribe', { events: 'play,data' }, {}).catch((e) => this.error(e))
 	}
 
 	/**
@@ -496,6 +1242,7 @@ class CaptivateInstance extends InstanceBase {
 			clearTimeout(this.scheduleRunner.get(key))
 		}
 		const timer = setTimeout(() => {
+			this.scheduleRunner.delete(key)
 			fn()
 		}, delay)
 		this.scheduleRunner.set(key, timer)
@@ -503,19 +1250,21 @@ class CaptivateInstance extends InstanceBase {
 
 	/**
 	 * This handles a notification message from Captivate.
-	 * Currently, it only cares about data events, but will
-	 * update Companion variables based on the incoming data.
+	 * Data events update the Companion variables for the title's variables,
+	 * and play events update the play state variable and feedbacks of the title.
 	 *
 	 * @param {any} msg
 	 */
 	handleNotification(msg) {
 		try {
-			let { event, id, variables } = JSON.parse(msg)
+			let { event, id, variables, state, play } = JSON.parse(msg)
 			if (event == 'data' && id && variables && this.titlesById[id]) {
 				let title = this.titlesById[id]
 				for (let { name, value } of variables) {
 					this.setVar({ title, name, value })
 				}
+			} else if (event == 'play' && id && this.titlesById[id]) {
+				this.setPlayState(this.titlesById[id], state ?? play)
 			}
 			// this.debug(data);
 		} catch (e) {
@@ -524,31 +1273,209 @@ class CaptivateInstance extends InstanceBase {
 	}
 
 	/**
-	 * Define or update a Companion variable
+	 * Record a new value for a title variable, and update its Companion variable when the value changed.
+	 * The variable is given by its Companion variable id, or by the title and the Captivate variable name.
 	 *
-	 * @param {any} param0
+	 * @param {object} param0
+	 * @param {string} [param0.varid] the Companion variable id
+	 * @param {any} [param0.title] A Captivate title object
+	 * @param {string} [param0.name] the Captivate variable name
+	 * @param {any} param0.value
+	 * @returns {boolean} true when the value changed
 	 */
 	setVar({ varid, title, name, value }) {
-		if (title && name && !varid) {
-			varid = this.makeVarDefinition(title, name).variableId
+		if (varid && !title) {
+			;({ title, varname: name } = this.varData[this.resolveVarId(varid)] ?? {})
 		}
-		if (varid in this.varData) {
-			this.varData[varid].value = value
-			this.varValues[varid] = value
-			title = this.varData[varid].title
+		if (!title || !this.varStore.has(title.id, name)) {
+			this.debug(`not setting unknown variable ${varid ?? `${title?.name}: ${name}`}`)
+			return false
 		}
-		this.setVariableValues({ [varid]: value })
-
-		// this doesn't seem needed since we are tracking the variables internally
-		// but it could be helpful and doesn't seem too wasteful
-		for (let titlevar of title.variables) {
-			if (titlevar.variable == name) {
-				titlevar.value = value
-				break
+		if (!this.varStore.set(title.id, name, value)) return false
+
+		this.sendTitleVariables([{ title, name, value }])
+		return true
+	}
+
+	/**
+	 * @param {string} varid the Companion variable id of a title variable
+	 * @returns {any} the value, or undefined for unknown variables
+	 */
+	getVar(varid) {
+		const data = this.varData[this.resolveVarId(varid)]
+		return data ? this.varStore.get(data.title.id, data.varname) : undefined
+	}
+
+	/**
+	 * Tell Companion about title variables that changed, in one update
+	 *
+	 * @param {{title: any, name: string, value: any}[]} changes
+	 */
+	sendTitleVariables(changes) {
+		const aliasIds = {}
+		for (const [aliasId, stableId] of Object.entries(this.varAliases)) {
+			;(aliasIds[stableId] ??= []).push(aliasId)
+		}
+		const values = {}
+		for (const { title, name, value } of changes) {
+			const variableId = this.makeVarDefinition(title, name).variableId
+			values[variableId] = value
+			for (const aliasId of aliasIds[variableId] ?? []) values[aliasId] = value
+		}
+		Object.assign(this.varValues, values)
+		this.setVariableValues(values)
+		this.checkFeedbacks(this.makeCustomFeedbackId('boolean', 'variableDrift'))
+	}
+
+	/**
+	 * Compare the title variables with a fresh snapshot from Captivate, and correct the ones that
+	 * changed without a data event reaching us.
+	 *
+	 * @returns {Promise<number>} how many variables were corrected
+	 */
+	async syncVariables() {
+		const requestedAt = Date.now()
+		const reply = await this.sp.scheduleCommand('getTitleControlInfo', { icon: 0 }, {})
+		const changes = this.varStore
+			.reconcile(JSON.parse(reply).titles ?? [], requestedAt)
+			.map(({ titleId, name, value }) => ({ title: this.titlesById[titleId], name, value }))
+			.filter(({ title }) => title)
+		if (changes.length > 0) {
+			this.log('info', `${changes.length} title variables changed in Captivate without telling us, updating them`)
+			this.sendTitleVariables(changes)
+		}
+		return changes.length
+	}
+
+	/**
+	 * Reconcile the title variables with Captivate every few seconds, see syncVariables
+	 */
+	startVariableSync() {
+		const interval = (this.config.variable_sync_interval ?? DEFAULT_VARIABLE_SYNC_INTERVAL) * 1000
+		if (interval <= 0) return
+
+		const tick = async () => {
+			// the titles are still loading, so there is nothing to compare yet
+			if (this.titles.length > 0) {
+				try {
+					await this.syncVariables()
+				} catch (e) {
+					this.debug('could not sync the title variables', e)
+				}
+			}
+			if (this.socket) this.scheduleFunction('variable-sync', tick, interval)
+		}
+		this.scheduleFunction('variable-sync', tick, interval)
+	}
+
+	/**
+	 * Record the play state of a title and update the Companion variable and feedbacks that depend on it
+	 *
+	 * @param {any} title A Captivate title object
+	 * @param {string} playState the play state as reported by Captivate
+	 */
+	setPlayState(title, playState) {
+		playState = normalizePlayState(playState)
+
+		// the run clock also follows layer states, so it may be behind even when the play state isn't
+		if (this.runClock.update(title.id, playState)) this.updateRunTimeVariables()
+
+		// a title that was taken out some other way doesn't need its auto out anymore
+		if (playState == 'done' || playState == 'cued') this.autoOuts.cancel(title.id)
+
+		if (this.titlesPlayStatus[title.id] === playState) return
+		this.titlesPlayStatus[title.id] = playState
+
+		const { variableId } = this.makePlayStateVarDefinition(title)
+		this.varValues[variableId] = playState
+		this.setVariableValues({ [variableId]: playState })
+		this.checkFeedbacks(
+			this.makeCustomFeedbackId('boolean', 'titleOnAir'),
+			this.makeCustomFeedbackId('advanced', 'titleThumbnail'),
+		)
+	}
+
+	/**
+	 * Follow the play states Captivate reports in `newblue.automation.layerstate`. Layers that are
+	 * not titles in the project get their own elapsed and remaining time variables.
+	 *
+	 * Captivate leaves layers out once they are gone, so those count as gone out.
+	 *
+	 * @param {{[key: string]: {playState?: string, duration?: number}}} playStates
+	 */
+	trackLayerStates(playStates) {
+		let newLayers = false
+		const present = new Set()
+		for (const [key, s] of Object.entries(playStates ?? {})) {
+			if (!s || !hasProperty(s, 'playState')) continue
+			present.add(key)
+			const duration = typeof s.duration == 'number' ? s.duration : undefined
+			this.runClock.update(key, normalizePlayState(s.playState), { duration })
+
+			if (!this.titlesById[key] && !this.layerVarDefinitions[key]) {
+				const { elapsed, remaining } = this.makeRunTimeVarDefinitions(key)
+				this.layerVarDefinitions[key] = [elapsed, remaining]
+				newLayers = true
+			}
+		}
+		for (const key of this.layerStateKeys) {
+			if (!present.has(key)) this.runClock.update(key, 'done')
+		}
+		this.layerStateKeys = present
+		if (newLayers) this.updateVariableDefinitions()
+		this.updateRunTimeVariables()
+	}
+
+	/**
+	 * Set the elapsed and remaining time variables of everything the run clock follows,
+	 * and the auto out countdowns of the titles. Only values that changed are sent to Companion.
+	 *
+	 * @param {boolean} send false to only update the values we keep
+	 */
+	updateRunTimeVariables(send = true) {
+		const changed = {}
+		for (const key of this.runClock.keys()) {
+			const title = this.titlesById[key]
+			if (!title && !this.layerVarDefinitions[key]) continue
+
+			const { elapsed, remaining } = this.makeRunTimeVarDefinitions(key, title)
+			const secondsLeft = this.runClock.remaining(key)
+			const values = {
+				[elapsed.variableId]: Math.floor(this.runClock.elapsed(key)),
+				[remaining.variableId]: secondsLeft == undefined ? '' : Math.ceil(secondsLeft),
+			}
+			if (title) {
+				const autoOutLeft = this.autoOuts.remaining(key)
+				values[this.makeAutoOutVarDefinition(title).variableId] = autoOutLeft == undefined ? '' : Math.ceil(autoOutLeft)
 			}
+			for (const [variableId, value] of Object.entries(values)) {
+				if (this.varValues[variableId] !== value) changed[variableId] = value
+			}
+		}
+		Object.assign(this.varValues, changed)
+
+		if (send && !this.destroyed && Object.keys(changed).length > 0) {
+			this.setVariableValues(changed)
+			this.checkFeedbacks(this.makeCustomFeedbackId('boolean', 'titleRunningLonger'))
 		}
 	}
 
+	/**
+	 * Ask Captivate for the layer states every second, to keep the run time variables current
+	 */
+	startRunClock() {
+		const tick = async () => {
+			try {
+				this.trackLayerStates(await this.sp.getValueForKey('newblue.automation.layerstate'))
+			} catch (e) {
+				this.debug('could not get the layer states', e)
+				this.updateRunTimeVariables()
+			}
+			if (this.socket) this.scheduleFunction('run-clock', tick, RUN_CLOCK_INTERVAL)
+		}
+		this.scheduleFunction('run-clock', tick, RUN_CLOCK_INTERVAL)
+	}
+
 	/**
 	 * Request actions, presets, feedbacks, etc from Captivate. These will be parsed into real
 	 * action, preset, feedback objects, and will be registered in the Companion system.
@@ -597,6 +1524,7 @@ class CaptivateInstance extends InstanceBase {
 	async _handleFeedbackOverlayPlayStates(state) {
 		// query for our layer play states, we will use this to fold into our feedback state
 		const playStates = await this.sp.getValueForKey('newblue.automation.layerstate')
+		this.trackLayerStates(playStates)
 
 		// did the feedback data include a dynamic image?
 		if (hasProperty(state, 'overlayQueryKey')) {
@@ -654,12 +1582,12 @@ class CaptivateInstance extends InstanceBase {
 	}
 
 	/**
+	 * Convert a color from Captivate to the format used by the image renderer.
 	 *
-	 * @param {*} image
-	 * @param {string|number} borderColor
-	 * @param {string|number} borderWidth if string, left, top, right, bottom delimited by spaces
+	 * @param {string|number} color
+	 * @returns {number} 0xRRGGBBAA
 	 */
-	async _drawBorder(image, borderColor, borderWidth) {
+	_jimpColor(color) {
 		// jimp colors are in the format 0xRRGGBBAA, where AA is the alpha channel
 		// companion uses the format 0xAARRGGBB, where AA is the alpha channel
 		//
@@ -670,23 +1598,24 @@ class CaptivateInstance extends InstanceBase {
 		// if it's a number, we will need to convert it to Jimp format (0xRRGGBBAA)
 		//
 		// Let Companion do the parsing for us (alpha will be a value between 0 and 1)
-		const { r, g, b, a } = splitRgb(borderColor)
+		const { r, g, b, a } = splitRgb(color)
 
 		// assemble to a Jimp-compatible color value
-		borderColor = (r << 16) | (g << 8) | b // convert to Jimp format (0xRRGGBB)
-		borderColor = (BigInt(borderColor) << 8n) | BigInt(a * 255) // add the alpha
-		borderColor = Number(borderColor) // convert back to number
-
-		// if (typeof borderColor == 'string' && borderColor.startsWith('#')) {
-		// 	const noLeadingHash = borderColor.slice(1) // remove the leading #
-		// 	borderColor = parseInt(noLeadingHash, 16) // convert hex to integer
-		// 	if (noLeadingHash.length <= 6) {
-		// 		borderColor = (BigInt(borderColor) << 8n) | 0xffn // add alpha channel (fully opaque)
-		// 		borderColor = Number(borderColor) // convert back to number
-		// 	}
-		// }
+		color = (r << 16) | (g << 8) | b // convert to Jimp format (0xRRGGBB)
+		color = (BigInt(color) << 8n) | BigInt(Math.round(a * 255)) // add the alpha
+		return Number(color) // convert back to number
+	}
 
-		const { width, height } = image.bitmap
+	/**
+	 * Convert Captivate's border options to the border parameters used by the image renderer.
+	 *
+	 * @param {string|number} borderColor
+	 * @param {string|number} borderWidth if string, left, top, right, bottom delimited by spaces
+	 * @param {number} scale widths are for a standard button, so they are scaled for larger ones
+	 * @returns {{color: number, left: number, top: number, right: number, bottom: number}}
+	 */
+	_borderSpec(borderColor, borderWidth, scale = 1) {
+		const color = this._jimpColor(borderColor)
 
 		let left, top, right, bottom
 		if (typeof borderWidth == 'string') {
@@ -702,28 +1631,18 @@ class CaptivateInstance extends InstanceBase {
 			;[left, top, right, bottom] = [borderWidth, borderWidth, borderWidth, borderWidth] // companion's eslint uses this construct for destructuring
 		}
 
-		// Top border
-		image.scan(0, 0, width, top, (x, y, idx) => {
-			image.bitmap.data.writeUInt32BE(borderColor, idx)
-		})
-
-		// Bottom border
-		image.scan(0, height - bottom, width, bottom, (x, y, idx) => {
-			image.bitmap.data.writeUInt32BE(borderColor, idx)
-		})
-
-		// Left border
-		image.scan(0, 0, left, height, (x, y, idx) => {
-			image.bitmap.data.writeUInt32BE(borderColor, idx)
-		})
-
-		// Right border
-		image.scan(width - right, 0, right, height, (x, y, idx) => {
-			image.bitmap.data.writeUInt32BE(borderColor, idx)
-		})
+		;[left, top, right, bottom] = [left, top, right, bottom].map((w) => Math.round(w * scale))
+		return { color, left, top, right, bottom }
 	}
 
-	async _handleFeedbackOverlayImage(state) {
+	/**
+	 * @param {*} state
+	 * @param {object} [render]
+	 * @param {string} [render.renderKey] identifies the feedback, so the renderer can drop outdated images for it
+	 * @param {{width: number, height: number}} [render.size] the size of the button image, see getFeedbackImageSize
+	 * @returns {Promise<*>}
+	 */
+	async _handleFeedbackOverlayImage(state, { renderKey, size = this.getFeedbackImageSize() } = {}) {
 		if (hasProperty(state, 'overlayImageName')) {
 			let layerImageData = await this.cache.getImageData(`${state.overlayImageName}`)
 			state.__old__overlayImageName = state.overlayImageName
@@ -732,44 +1651,20 @@ class CaptivateInstance extends InstanceBase {
 			if (!layerImageData) {
 				debug('bad layer data')
 			} else if (hasProperty(state, 'png64')) {
-				const baseImage = Buffer.from(state.png64, 'base64')
-				const overlayImage = Buffer.from(layerImageData, 'base64')
-
-				// Load the base image
-				let base, overlay
-
-				try {
-					base = await Jimp.read(baseImage)
-				} catch (e) {
-					this.error('Error loading base image from state.png64:', { error: e, state })
-					base = blankFull
-				}
-
-				try {
-					overlay = await Jimp.read(overlayImage)
-				} catch (e) {
-					this.error('Error loading base image from state.layerImageData:', { error: e, state })
-					overlay = blankFull
-				}
-
-				// Resize overlay to match base image, if necessary
-				overlay.resize({ w: base.bitmap.width })
-
-				// Composite the overlay onto the base image
-				base.composite(overlay, 0, 0, {
-					mode: Jimp.BLEND_SOURCE_OVER,
-					opacitySource: 1.0,
-					opacityDest: 1.0,
-				})
+				// composite the overlay onto the base image
+				const job = { base: state.png64, overlay: layerImageData, ...size }
 
 				if (hasProperty(state, 'borderColor') || hasProperty(state, 'borderWidth')) {
-					await this._drawBorder(base, state.borderColor, state.borderWidth ?? DEFAULT_BORDER_WIDTH)
+					job.border = this._borderSpec(
+						state.borderColor,
+						state.borderWidth ?? DEFAULT_BORDER_WIDTH,
+						size.width / BUTTON_SIZE,
+					)
 					delete state.borderColor
 					delete state.borderWidth
 				}
 
-				// Convert to buffer
-				const result = await base.getBase64('image/png')
+				const result = await this.renderer.render(job, renderKey)
 				if (result) {
 					state.png64 = result
 				}
@@ -778,72 +1673,151 @@ class CaptivateInstance extends InstanceBase {
 				state.png64 = this.layerImageData
 			}
 		} else if (hasProperty(state, 'imageName') && state.imageName) {
-			state.png64 = await this.cache.getImageData(`${state.imageName}`)
+			state.png64 = await this.cache.getImageData(`${state.imageName}`, size)
 			delete state.imageName
 		}
 		return state
 	}
 
+	/**
+	 * Draw the primitives listed in `state.draw` (progress bars, rings, badges, tally stripes and text,
+	 * see lib/drawing.js) over the button image. A border is drawn in the same pass.
+	 *
+	 * @param {*} state
+	 * @param {object} [render]
+	 * @param {string} [render.renderKey] identifies the feedback, so the renderer can drop outdated images for it
+	 * @param {{width: number, height: number}} [render.size] the size of the button image, see getFeedbackImageSize
+	 * @returns {Promise<*>}
+	 */
+	async _handleFeedbackDrawing(state, { renderKey, size = this.getFeedbackImageSize() } = {}) {
+		const scale = size.width / BUTTON_SIZE
+		const { primitives, errors } = normalizeDrawing(state.draw, scale, (color) => this._jimpColor(color))
+		for (const e of errors) {
+			this.log('warn', `Feedback drawing: ${e}`)
+		}
+		delete state.draw
+
+		let base = state.png64 ?? state.image64
+		const imageKey = state.imageUrl || state.imagePath
+		if (!base && imageKey) {
+			base = await this.cache.getImageData(imageKey, size)
+		}
+
+		const job = { base, draw: primitives, ...size }
+		if (hasProperty(state, 'borderColor') || hasProperty(state, 'borderWidth')) {
+			job.border = this._borderSpec(state.borderColor, state.borderWidth ?? DEFAULT_BORDER_WIDTH, scale)
+			delete state.borderColor
+			delete state.borderWidth
+		}
+
+		const result = await this.renderer.render(job, renderKey)
+		if (result) {
+			state.png64 = result
+		}
+		return state
+	}
+
 	/**
 	 * This function should be called after all the other image functions because it assumes
 	 * that stat.png64 is set to the image data.
 	 *
 	 * @param {*} state
+	 * @param {object} [render]
+	 * @param {string} [render.renderKey] identifies the feedback, so the renderer can drop outdated images for it
+	 * @param {{width: number, height: number}} [render.size] the size of the button image, see getFeedbackImageSize
 	 * @returns {Promise<*>}
 	 */
-	async _handleFeedbackBorderColor(state) {
-		const baseImage = state.png64 ? Buffer.from(state.png64, 'base64') : blankFullBuffer
-		let image
-		try {
-			image = await Jimp.read(baseImage)
-		} catch (e) {
-			this.error('Error loading base image from state.png64:', { error: e, state })
-			image = await Jimp.read(blankFullBuffer)
+	async _handleFeedbackBorderColor(state, { renderKey, size = this.getFeedbackImageSize() } = {}) {
+		const job = {
+			base: state.png64,
+			border: this._borderSpec(state.borderColor, state.borderWidth ?? DEFAULT_BORDER_WIDTH, size.width / BUTTON_SIZE),
+			...size,
 		}
-
-		await this._drawBorder(image, state.borderColor, state.borderWidth ?? DEFAULT_BORDER_WIDTH)
 		delete state.borderColor
 		delete state.borderWidth
 
-		// Convert to buffer
-		const result = await image.getBase64('image/png')
+		const result = await this.renderer.render(job, renderKey)
 		if (result) {
 			state.png64 = result
 		}
 		return state
 	}
+	/**
+	 * Fold the layer play states into a feedback state from Captivate. This is the part of
+	 * _handleFeedbackState that doesn't depend on the button, so its result can be cached.
+	 *
+	 * @param {*} state
+	 * @returns {Promise<*>}
+	 */
+	async _prepareFeedbackState(state) {
+		if (state.overlayQueryKey || state.pngQueryKey) {
+			// debug('state with overlay query keys', state)
+			state = await this._handleFeedbackOverlayPlayStates(state)
+			debug('state with overlay information', state)
+		}
+		return state
+	}
+
+	/**
+	 * The size to draw feedback images at: what Companion reports for the button, or a standard button.
+	 *
+	 * When the feedback turns on the topbar, it covers the top of the button, so the image gets the area
+	 * below it. Companion already leaves out its own topbar from the size it reports, so only a square
+	 * (full button) size is reduced.
+	 *
+	 * @param {import('@companion-module/base').CompanionFeedbackAdvancedEvent} [event]
+	 * @param {*} [state] the feedback state from Captivate
+	 * @returns {{width: number, height: number}}
+	 */
+	getFeedbackImageSize(event, state = {}) {
+		let { width, height } = event?.image ?? {}
+		if (!(width > 0 && height > 0)) {
+			width = BUTTON_SIZE
+			height = BUTTON_SIZE
+		}
+		if ((state.show_topbar ?? state.showTopBar) && width == height) {
+			height -= Math.round((TOPBAR_HEIGHT * width) / BUTTON_SIZE)
+		}
+		return { width, height }
+	}
+
 	/**
 	 * This function takes the feedback state that comes from Captivate, and does the following:
 	 * 1. convert the Captivate feedback data into a format that Companion can use
 	 * 2. if the feedback data includes an image, handle it.
+	 * 3. if the feedback data asks for drawing primitives or a border, draw them.
 	 *
 	 * @param {*} state
+	 * @param {object} [render]
+	 * @param {string} [render.renderKey] identifies the feedback, so the renderer can drop outdated images for it
+	 * @param {{width: number, height: number}} [render.size] the size of the button image, see getFeedbackImageSize
 	 * @returns
 	 */
-	async _handleFeedbackState(state) {
+	async _handleFeedbackState(state, render = {}) {
 		const original = { ...state }
 
 		// first, handle the items that are sent to us by Captivate
-		if (state.overlayQueryKey || state.pngQueryKey) {
-			// debug('state with overlay query keys', state)
-			state = await this._handleFeedbackOverlayPlayStates(state)
-			debug('state with overlay information', state)
-		}
+		state = await this._prepareFeedbackState(state)
 
 		// now, handle the specified overlay image if there is one
 		if (state.overlayImageName || state.imageName) {
 			// debug('state with overlay image name keys', state)
-			state = await this._handleFeedbackOverlayImage(state)
+			state = await this._handleFeedbackOverlayImage(state, render)
 			debug('state with overlay information', state)
 		}
 
+		if (state.draw) {
+			state = await this._handleFeedbackDrawing(state, render)
+			debug('state with drawing applied', state)
+		}
+
 		if (state.borderColor || state.borderWidth) {
 			// debug('state with border color', state)
-			state = await this._handleFeedbackBorderColor(state)
+			state = await this._handleFeedbackBorderColor(state, render)
 			debug('state with border color applied', state)
 		}
 
-		state = await this._adaptToCompanionStyle(state)
+		state = await this._adaptToCompanionStyle(state, render)
 
 		this.extraLog('Feedback state after preparing for Companion:', { original, converted: state })
 
@@ -854,9 +1828,11 @@ class CaptivateInstance extends InstanceBase {
 	 *
 	 * The advanced feedbacks can also take an `imageBuffer` (Uint8Array), and an `imagePosition` value. See the `CompanionAdvancedFeedbackResult` type for more.
 	 * @param {*} state The state that comes from Captivate. It could have any number of fields, but we only care about the ones that are relevant to Companion.
+	 * @param {object} [render]
+	 * @param {{width: number, height: number}} [render.size] the size to load images from paths and urls at
 	 * @returns {Promise<import('@companion-module/base').CompanionFeedbackButtonStyleResult|import('@companion-module/base').CompanionAdvancedFeedbackResult>}
 	 */
-	async _adaptToCompanionStyle(state) {
+	async _adaptToCompanionStyle(state, { size = this.getFeedbackImageSize() } = {}) {
 		let result = {}
 		for (let property of [
 			'text',
@@ -896,7 +1872,7 @@ class CaptivateInstance extends InstanceBase {
 		let imageKey = state.imageName || state.imageUrl || state.imagePath
 		if (!result.png64 && imageKey) {
 			// this.debug('requesting image data from cache', imageKey)
-			const imageData = await this.cache.getImageData(imageKey)
+			const imageData = await this.cache.getImageData(imageKey, size)
 			// this.debug('image data', imageData)
 			if (imageData != undefined) {
 				result.png64 = imageData
@@ -935,7 +1911,11 @@ class CaptivateInstance extends InstanceBase {
 		try {
 			// fix feedback options for the 'input-routed.activesheet' feedback
 			// not needed for builds of captivate after 2025-01-17
-			if (feedbackId.match(/input-routed\.activesheet/) && !options.inputName) {
+			if (
+				!this.capabilities.activeSheetInputName &&
+				feedbackId.match(/input-routed\.activesheet/) &&
+				!options.inputName
+			) {
 				options = { ...options, inputName: 'Spreadsheet: _active_' }
 			}
 
@@ -947,7 +1927,7 @@ class CaptivateInstance extends InstanceBase {
 			state = JSON.parse(reply)
 
 			// this.debug('_cmp_v1_queryFeedbackState response', { actorId, feedbackId, options, state })
-			state = await this._handleFeedbackState(state) // will convert image names to images
+			state = await this._prepareFeedbackState(state) // images are drawn when Companion asks, at the size of the button
 			// this.debug('state after handling for Companion', { state })
 			this.cache.store(actorId, feedbackId, options, state, CACHE_LIFETIME)
 			return state
@@ -993,7 +1973,7 @@ class CaptivateInstance extends InstanceBase {
 			var lastUpdate = new Date(response)
 			if (lastUpdate >= this.timeOfLastDefinitionUpdates) {
 				this.timeOfLastDefinitionUpdates = lastUpdate
-				this.refreshIntegrations()
+				this.refreshIntegrations().catch((e) => this.error(e))
 			}
 		}
 	}
@@ -1012,6 +1992,11 @@ class CaptivateInstance extends InstanceBase {
 
 		// the feedbackId will be the full actor/feedback id (actorId~feedbackId)
 		let [state, from_cache] = await this.getFeedbackState(event.feedbackId, event.options)
+		if (event.type != 'boolean') {
+			// the cached state is shared by every button with these options, so draw a copy for this one
+			const size = this.getFeedbackImageSize(event, state)
+			state = await this._handleFeedbackState({ ...state }, { renderKey: event.id, size })
+		}
 		this.extraLog('Returning feedback state:', {
 			feedbackId: event.feedbackId,
 			options: event.options,
@@ -1112,6 +2097,62 @@ class CompanionFeedback {
 	}
 }
 
+/**
+ * Turns a list of hosts separated by commas or spaces into websocket urls.
+ * The port is optional and defaults to 9023.
+ *
+ * @param {string|undefined} hosts
+ * @returns {string[]}
+ */
+function parseHostList(hosts) {
+	return `${hosts ?? ''}`
+		.split(/[\s,;]+/)
+		.filter((host) => host)
+		.map((host) => {
+			// [v6]:port, [v6], or host:port with a single colon. Anything else with colons is a bare IPv6 address
+			const match = host.match(/^\[([^\]]+)\](?::(\d+))?$/) ?? host.match(/^([^:]+)(?::(\d+))?$/)
+			return match ? makeServerUrl(match[1], match[2]) : makeServerUrl(host)
+		})
+}
+
+/**
+ * @param {string} host a hostname, or an IPv4 or IPv6 address
+ * @param {number|string} [port] defaults to 9023
+ * @returns {string} a websocket url
+ */
+function makeServerUrl(host, port = 9023) {
+	return host.includes(':') ? `ws://[${host}]:${port}` : `ws://${host}:${port}`
+}
+
+/**
+ * Captivate reports play states with varying capitalization (e.g. 'Done' or 'running').
+ * This converts them to one of 'running', 'paused', 'done', or 'cued'.
+ *
+ * @param {string|undefined} playState
+ * @returns {string}
+ */
+function normalizePlayState(playState) {
+	const s = `${playState ?? ''}`.trim().toLowerCase()
+	if (s == 'running' || s == 'play' || s == 'playing') return 'running'
+	if (s == 'paused' || s == 'pause') return 'paused'
+	if (s == 'cued' || s == 'cue' || s == 'ready') return 'cued'
+	return 'done'
+}
+
+/**
+ * Lower case words joined by single underscores, for the parts of variable ids. Double underscores
+ * separate the title from the variable name in title variable ids, so they never appear in the result.
+ *
+ * @param {string} text e.g. a title id or layer key
+ * @returns {string}
+ */
+function makeIdPart(text) {
+	return `${text}`
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '_')
+		.replace(/^_|_$/g, '')
+}
+
 /**
  * Because of the security issues related to object.hasOwnProperty, we use this
  * to wrap it in the better alternative.
@@ -1126,4 +2167,6 @@ function hasProperty(s, prop) {
 	return Object.prototype.hasOwnProperty.call(s, prop)
 }
 
+module.exports = { CaptivateInstance, parseHostList }
+
 runEntrypoint(CaptivateInstance, UpgradeScripts)
@@ -1,5 +1,16 @@
 import { generateEslintConfig } from '@companion-module/tools/eslint/config.mjs'
 
-export default generateEslintConfig({
+const baseConfig = await generateEslintConfig({
 	ignores: ['no-unused-vars'],
 })
+
+export default [
+	...baseConfig,
+	{
+		// the tests run on the developer's node, not on the one Companion ships with
+		files: ['test/**/*.js'],
+		rules: {
+			'n/no-unsupported-features/node-builtins': 'off',
+		},
+	},
+]
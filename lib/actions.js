@@ -39,6 +39,22 @@
     ]
   }
 */
+
+/**
+ * Title playout actions that talk to the Captivate scheduler directly, so they keep working
+ * even when the automation registry doesn't provide its own actions.
+ *
+ * `command` is sent to `scheduleAction`. Actions without a command pick one from the title's play state.
+ */
+const TITLE_PLAYOUT_ACTIONS = [
+	{ shortId: 'titlePlayInAction', name: 'Title: Play In', command: 'animin' },
+	{ shortId: 'titlePlayOutAction', name: 'Title: Play Out', command: 'animout' },
+	{ shortId: 'titleCutInAction', name: 'Title: Cut In', command: 'cutin' },
+	{ shortId: 'titleCutOutAction', name: 'Title: Cut Out', command: 'cutout' },
+	{ shortId: 'titleToggleAction', name: 'Title: Toggle (Play In / Play Out)' },
+	{ shortId: 'titlePauseAction', name: 'Title: Pause / Resume' },
+]
+
 module.exports = {
 	async publishActions(response) {
 		this.debug('---------- publishing actions to companion ------------------')
@@ -62,7 +78,7 @@ module.exports = {
 				// since 3.0, actions need an explicit callback
 				definition.callback = async (event) => {
 					// alternatively, event.actionId = target
-					this.scheduler._cmp_v1_performAction(target, event.options)
+					this.performAction(target, event.options)
 				}
 
 				actions[target] = definition
@@ -71,10 +87,14 @@ module.exports = {
 			// also add our Advanced API actions
 			this.addCustomVariableAction(actions, 'Update: Set Variable', 'variableSetAction')
 			this.addCustomVariableAction(actions, 'Update: Toggle Variable', 'variableToggleAction')
+			this.addSetMultipleVariablesAction(actions)
+			this.addSetVariableOnAllTitlesAction(actions)
 			this.addCustomVariableAction(actions, 'Update: Increment Variable', 'variableIncrementAction')
+			this.addTitlePlayoutActions(actions)
+			this.addAutoOutActions(actions)
 
 			//console.log("actions", actions);
-			this.setActionDefinitions(actions)
+			this.publishDefinitions('actions', actions)
 		}
 	},
 
@@ -83,9 +103,261 @@ module.exports = {
 			.then((response) => this.publishActions(response))
 			.catch((e) => {
 				this.log('error', 'error requesting actions: ' + e)
+
+				// the automation registry failed us, but the actions that talk to the scheduler directly still work
+				this.publishActions([])
 			})
 	},
 
+	/**
+	 * Defines the title playout actions that call the Captivate scheduler directly.
+	 *
+	 * @param {object} actions current actions object
+	 */
+	addTitlePlayoutActions(actions) {
+		for (const { shortId, name, command } of TITLE_PLAYOUT_ACTIONS) {
+			const actionId = this.makeCustomActionId(shortId)
+			actions[actionId] = {
+				name,
+				options: [
+					{
+						id: 'titleid',
+						type: 'dropdown',
+						label: 'Title',
+						choices: this.CHOICES_TITLES,
+						default: this.CHOICES_TITLES[0]?.id ?? '',
+					},
+				],
+				callback: async (action) => {
+					const title = this.titlesById[action.options.titleid]
+					if (!title) {
+						this.log('warn', `Title not found for ${name}: ${action.options.titleid}`)
+						return
+					}
+
+					const playState = this.titlesPlayStatus[title.id]
+					let playCommand = command
+					if (shortId == 'titleToggleAction') {
+						playCommand = playState == 'running' || playState == 'paused' ? 'animout' : 'animin'
+					} else if (shortId == 'titlePauseAction') {
+						playCommand = playState == 'paused' ? 'resume' : 'pause'
+					}
+
+					this.scheduleAction(playCommand, '', title.id, {}).catch((e) => this.error(e))
+				},
+			}
+		}
+	},
+
+	/**
+	 * Defines an action that sets several variables of a title with one update, so Captivate
+	 * animates them together.
+	 *
+	 * @param {object} actions current actions object
+	 */
+	addSetMultipleVariablesAction(actions) {
+		actions[this.makeCustomActionId('variableSetMultipleAction')] = {
+			name: 'Update: Set Multiple Variables',
+			description: 'Set several variables of a title in a single update',
+			options: [
+				{
+					id: 'titleid',
+					type: 'dropdown',
+					label: 'Title',
+					tooltip: 'Choose a title, or type its name',
+					choices: this.CHOICES_TITLES,
+					default: this.CHOICES_TITLES[0]?.id ?? '',
+					allowCustom: true,
+				},
+				{
+					id: 'values',
+					type: 'textinput',
+					label: 'Values',
+					tooltip:
+						'A JSON object like {"Name": "Jane", "Role": "Host"}, or one Name=Value per line. Separate lines with \\n when typing them here.',
+					default: '',
+					useVariables: true,
+				},
+				{
+					id: 'action',
+					type: 'dropdown',
+					label: 'Update Type',
+					tooltip: 'Which type of update do you want to use?',
+					choices: [
+						{ id: 'update', label: 'Animated Update' },
+						{ id: 'still', label: 'Immediate Update' },
+					],
+					default: 'update',
+				},
+			],
+			callback: async (action) => {
+				const title = this.titlesById[action.options.titleid] ?? this.titlesByName[action.options.titleid]
+				if (!title) {
+					this.log('warn', `Title not found for Set Multiple Variables: ${action.options.titleid}`)
+					return
+				}
+
+				let values
+				try {
+					values = parseVariableList(action.options.values ?? '')
+				} catch (e) {
+					this.log('warn', `Set Multiple Variables: could not read the values for ${title.name}: ${e.message}`)
+					return
+				}
+
+				// match the names to the title's variables, and fill in Companion variables in the values
+				const data = {}
+				for (const [name, value] of Object.entries(values)) {
+					const variable =
+						title.variables.find((v) => v.variable == name) ??
+						title.variables.find((v) => v.variable.toLowerCase() == name.toLowerCase())
+					if (!variable) {
+						this.log('warn', `Set Multiple Variables: ${title.name} has no variable named ${name}`)
+					}
+					data[variable?.variable ?? name] = await this.parseVariablesInString(value)
+				}
+				if (Object.keys(data).length == 0) return
+
+				for (const [name, value] of Object.entries(data)) {
+					this.setVar({ title, name, value })
+				}
+				this.scheduleAction(action.options.action || 'update', '', title.id, data).catch((e) => this.error(e))
+			},
+		}
+	},
+
+	/**
+	 * Defines an action that sets a variable on every title that has a variable with that name,
+	 * e.g. the score on the scorebug, the full-screen graphic and the ticker.
+	 *
+	 * @param {object} actions current actions object
+	 */
+	addSetVariableOnAllTitlesAction(actions) {
+		const nameChoices = this.variableNames.map((varname) => ({ id: varname, label: varname }))
+		actions[this.makeCustomActionId('variableSetAllAction')] = {
+			name: 'Update: Set Variable on All Titles',
+			description: 'Set a variable on every title that has a variable with this name',
+			options: [
+				{
+					id: 'varname',
+					type: 'dropdown',
+					label: 'Variable Name',
+					tooltip: 'Choose a variable name, or type one',
+					choices: nameChoices,
+					default: nameChoices[0]?.id ?? '',
+					allowCustom: true,
+				},
+				{
+					id: 'varvalue',
+					type: 'textinput',
+					label: 'Value of Variable to Set',
+					useVariables: true,
+				},
+				{
+					id: 'action',
+					type: 'dropdown',
+					label: 'Update Type',
+					tooltip: 'Which type of update do you want to use?',
+					choices: [
+						{ id: 'update', label: 'Animated Update' },
+						{ id: 'still', label: 'Immediate Update' },
+					],
+					default: 'update',
+				},
+			],
+			callback: async (action) => {
+				const varname = action.options.varname
+				const matches = this.findVariableAcrossTitles(varname)
+				if (matches.length == 0) {
+					this.log('warn', `Set Variable on All Titles: no title has a variable named ${varname}`)
+					return
+				}
+
+				const value = await this.parseVariablesInString(action.options.varvalue ?? '')
+				for (const { title } of matches) {
+					this.setVar({ title, name: varname, value })
+					this.scheduleAction(action.options.action || 'update', '', title.id, { [varname]: value }).catch((e) =>
+						this.error(e),
+					)
+				}
+			},
+		}
+	},
+
+	/**
+	 * Defines the actions that play a title in and take it out again after some seconds.
+	 *
+	 * @param {object} actions current actions object
+	 */
+	addAutoOutActions(actions) {
+		actions[this.makeCustomActionId('titlePlayForAction')] = {
+			name: 'Title: Play for Some Seconds',
+			description: 'Play a title in, and take it out again when the time is up. Playing it again restarts the time.',
+			options: [
+				{
+					id: 'titleid',
+					type: 'dropdown',
+					label: 'Title',
+					choices: this.CHOICES_TITLES,
+					default: this.CHOICES_TITLES[0]?.id ?? '',
+				},
+				{
+					id: 'seconds',
+					type: 'number',
+					label: 'Seconds',
+					min: 1,
+					max: 86400,
+					default: 10,
+				},
+				{
+					id: 'incommand',
+					type: 'dropdown',
+					label: 'Play In',
+					choices: [
+						{ id: 'animin', label: 'Animate In' },
+						{ id: 'cutin', label: 'Cut In' },
+					],
+					default: 'animin',
+				},
+				{
+					id: 'outcommand',
+					type: 'dropdown',
+					label: 'Take Out',
+					choices: [
+						{ id: 'animout', label: 'Animate Out' },
+						{ id: 'cutout', label: 'Cut Out' },
+					],
+					default: 'animout',
+				},
+			],
+			callback: async (action) => {
+				const { titleid, seconds, incommand, outcommand } = action.options
+				const title = this.titlesById[titleid]
+				if (!title) {
+					this.log('warn', `Title not found for Play for Some Seconds: ${titleid}`)
+					return
+				}
+
+				// a title that is already on air only gets its time restarted
+				const playState = this.titlesPlayStatus[title.id]
+				if (playState != 'running' && playState != 'paused') {
+					this.scheduleAction(incommand || 'animin', '', title.id, {}).catch((e) => this.error(e))
+				}
+				this.autoOuts.start(title.id, Number(seconds) || 10, outcommand || 'animout')
+			},
+		}
+
+		actions[this.makeCustomActionId('titleCancelAutoOutsAction')] = {
+			name: 'Title: Cancel Auto Outs',
+			description: 'Keep every title that was played for some seconds on air',
+			options: [],
+			callback: async () => {
+				const count = this.autoOuts.cancelAll()
+				this.log('info', `Cancelled ${count} auto out timer(s)`)
+			},
+		}
+	},
+
 	/**
 	 * Defines additional actions based on the titles and variables in the current Captivate project.
 	 *
@@ -201,18 +473,23 @@ module.exports = {
 			if (action.options.titlename) {
 				title = this.titlesByName[action.options.titlename]
 				varname = action.options.varname
-				varid = this.makeVarDefinition(title, varname).variableId
+				if (title) varid = this.makeVarDefinition(title, varname).variableId
 			}
 
 			// if we do have titles, we should get this value
 			if (action.options.varid) {
-				varid = action.options.varid
+				varid = this.resolveVarId(action.options.varid) ?? action.options.varid
 				let varDetails = this.varData[varid]
-				title = varDetails.title
-				varname = varDetails.varname
+				title = varDetails?.title
+				varname = varDetails?.varname
 			}
 
-			prevValue = this.varData[varid]?.value ?? ''
+			if (!title) {
+				this.log('warn', `${name}: ${varid ?? action.options.titlename} is not in the current project`)
+				return
+			}
+
+			prevValue = this.getVar(varid) ?? ''
 
 			switch (shortId) {
 				case 'variableSetAction':
@@ -236,11 +513,40 @@ module.exports = {
 
 			// send to captivate
 			// console.log(action.options.action, '', title.id, {[varname]: newValue});
-			this.sp.scheduleAction(action.options.action, '', title.id, { [varname]: newValue })
+			this.scheduleAction(action.options.action, '', title.id, { [varname]: newValue }).catch((e) => this.error(e))
 		}
 	},
 }
 
+/**
+ * Read the values for the Set Multiple Variables action: a JSON object, or `name=value` lines.
+ * Lines can also be separated with a literal `\n`, since Companion text inputs are single lines.
+ * Empty lines and lines starting with `#` are skipped.
+ *
+ * @param {string} text
+ * @returns {{[name: string]: string}}
+ * @throws {Error} when the JSON can't be parsed or isn't an object
+ */
+function parseVariableList(text) {
+	const values = {}
+	if (text.trim().startsWith('{')) {
+		const parsed = JSON.parse(text)
+		if (!parsed || typeof parsed != 'object' || Array.isArray(parsed)) throw new Error('expected a JSON object')
+		for (const [name, value] of Object.entries(parsed)) {
+			values[name] = typeof value == 'string' ? value : JSON.stringify(value ?? '')
+		}
+		return values
+	}
+
+	for (const line of text.split(/\r?\n|\\n/)) {
+		if (line.trim() == '' || line.trim().startsWith('#')) continue
+		const separator = line.indexOf('=')
+		if (separator < 1) throw new Error(`expected Name=Value, got "${line.trim()}"`)
+		values[line.slice(0, separator).trim()] = line.slice(separator + 1).trim()
+	}
+	return values
+}
+
 function makeNumber(v, asFloat = false) {
 	if (!v || isNaN(v)) return 0
 	return asFloat ? parseFloat(v) : parseInt(v)
@@ -0,0 +1,80 @@
+/**
+ * Cancellable timers that take titles out again after they were played in for some seconds.
+ *
+ * There is at most one timer per title: starting a timer for a title that already has one
+ * replaces it, so re-triggering a title gives it the full time again.
+ */
+class AutoOutTimers {
+	/** @type {Map<string, {timer: ReturnType<typeof setTimeout>, endsAt: number, command: string}>} */
+	_timers = new Map()
+
+	/**
+	 * @param {object} param0
+	 * @param {(key: string, command: string) => void} param0.onFire called when a timer runs out
+	 * @param {() => void} param0.onChange called whenever timers are started, cancelled or fired
+	 */
+	constructor({ onFire = () => {}, onChange = () => {} } = {}) {
+		this.onFire = onFire
+		this.onChange = onChange
+	}
+
+	get size() {
+		return this._timers.size
+	}
+
+	/**
+	 * @param {string} key the title id
+	 * @param {number} seconds
+	 * @param {string} command the scheduler command that takes the title out
+	 */
+	start(key, seconds, command = 'animout') {
+		this._clear(key)
+		const timer = setTimeout(() => {
+			this._timers.delete(key)
+			this.onFire(key, command)
+			this.onChange()
+		}, seconds * 1000)
+		this._timers.set(key, { timer, endsAt: Date.now() + seconds * 1000, command })
+		this.onChange()
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {boolean} true if the title had a timer
+	 */
+	cancel(key) {
+		const cancelled = this._clear(key)
+		if (cancelled) this.onChange()
+		return cancelled
+	}
+
+	/** @returns {number} how many timers were cancelled */
+	cancelAll() {
+		const count = this._timers.size
+		for (const key of [...this._timers.keys()]) {
+			this._clear(key)
+		}
+		if (count > 0) this.onChange()
+		return count
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {number} now milliseconds, for testing
+	 * @returns {number|undefined} seconds until the title is taken out, if it has a timer
+	 */
+	remaining(key, now = Date.now()) {
+		const entry = this._timers.get(key)
+		return entry ? Math.max(entry.endsAt - now, 0) / 1000 : undefined
+	}
+
+	_clear(key) {
+		const entry = this._timers.get(key)
+		if (!entry) return false
+		clearTimeout(entry.timer)
+		this._timers.delete(key)
+		return true
+	}
+}
+
+module.exports = { AutoOutTimers }
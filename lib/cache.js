@@ -1,6 +1,9 @@
 const crypto = require('crypto')
 const { Jimp } = require('jimp')
 
+// prune expired feedback states when there are more than this many
+const MAX_DATA_ENTRIES = 1000
+
 class TimestampedData {
 	get expired() {
 		const age = Date.now() - this.timestamp
@@ -13,16 +16,172 @@ class TimestampedData {
 	}
 }
 
+/**
+ * Keeps base64 image data within a byte budget.
+ *
+ * Images loaded from paths or urls are evicted least recently used first, because they can
+ * always be loaded again. Images given to us by name (the automation image set, title icons)
+ * can't be loaded again, so they are pinned until their group is invalidated.
+ */
+class ImageCache {
+	/** @type {Map<string, {data: string, bytes: number, group?: string}>} in order of use, oldest first */
+	_entries = new Map()
+
+	bytes = 0
+	pinnedBytes = 0
+	hits = 0
+	misses = 0
+	evictions = 0
+
+	/** @type {() => void} called when the counters or the number of bytes change */
+	onChange = () => {}
+
+	/**
+	 * @param {number} maxBytes budget for the images that can be evicted
+	 */
+	constructor(maxBytes = 32 * 1024 * 1024) {
+		this.maxBytes = maxBytes
+	}
+
+	get size() {
+		return this._entries.size
+	}
+
+	get stats() {
+		const { bytes, pinnedBytes, maxBytes, hits, misses, evictions, size } = this
+		return { bytes, pinnedBytes, maxBytes, hits, misses, evictions, size }
+	}
+
+	has(key) {
+		return this._entries.has(key)
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {string|undefined}
+	 */
+	get(key) {
+		const entry = this._entries.get(key)
+		if (!entry) {
+			this.misses += 1
+			this.onChange()
+			return undefined
+		}
+		this.hits += 1
+		this.onChange()
+
+		// move it to the end, so it is the most recently used
+		this._entries.delete(key)
+		this._entries.set(key, entry)
+		return entry.data
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {string} data
+	 * @param {string} [group] pins the image until `invalidateGroup(group)` is called
+	 */
+	set(key, data, group = undefined) {
+		this.delete(key)
+		const bytes = Buffer.byteLength(data ?? '')
+		this._entries.set(key, { data, bytes, group })
+		this.bytes += bytes
+		if (group != undefined) this.pinnedBytes += bytes
+		this._evict()
+		this.onChange()
+	}
+
+	delete(key) {
+		const entry = this._entries.get(key)
+		if (!entry) return false
+		this._entries.delete(key)
+		this.bytes -= entry.bytes
+		if (entry.group != undefined) this.pinnedBytes -= entry.bytes
+		this.onChange()
+		return true
+	}
+
+	/**
+	 * Remove every image that was pinned with this group
+	 *
+	 * @param {string} group
+	 */
+	invalidateGroup(group) {
+		for (const [key, entry] of this._entries) {
+			if (entry.group == group) this.delete(key)
+		}
+	}
+
+	clear() {
+		this._entries.clear()
+		this.bytes = 0
+		this.pinnedBytes = 0
+		this.onChange()
+	}
+
+	_evict() {
+		for (const [key, entry] of this._entries) {
+			if (this.bytes - this.pinnedBytes <= this.maxBytes) break
+			if (entry.group != undefined) continue
+			this.delete(key)
+			this.evictions += 1
+		}
+	}
+}
+
 class LocalCache {
 	_data_cache = new Map()
-	_image_cache = new Map()
+	_image_cache = new ImageCache()
 	_promises = new Map()
 	max_age = 1000
 
+	/**
+	 * Images that failed to load. `askedAt` is when a feedback last asked for the image,
+	 * so images nobody asks for anymore can be forgotten, see pruneImageFailures.
+	 *
+	 * @type {Map<string, {attempts: number, retryAt: number, askedAt: number, error: string}>}
+	 */
+	_image_failures = new Map()
+	_image_retry = { baseDelay: 30_000, maxDelay: 3_600_000 }
+
+	/** @type {(count: number) => void} called when the number of failing images changes */
+	onImageFailuresChanged = () => {}
+
+	/** @type {() => void} called when the image cache counters change, which is on nearly every image lookup */
+	onImageStatsChanged = () => {}
+
+	/**
+	 * @param {object} param0
+	 * @param {(level: string, message: string) => void} param0.log
+	 */
+	constructor({ log = () => {} } = {}) {
+		this.log = log
+		this._image_cache.onChange = () => this.onImageStatsChanged()
+	}
+
 	setCacheLifetime(max_age) {
 		this.max_age = max_age
 	}
 
+	/**
+	 * @param {number} maxBytes the budget for images loaded from paths and urls
+	 */
+	setImageCacheSize(maxBytes) {
+		this._image_cache.maxBytes = maxBytes
+		this._image_cache._evict()
+	}
+
+	get imageStats() {
+		return this._image_cache.stats
+	}
+
+	/** Drop feedback states that have expired, since they are otherwise only removed when they are read */
+	pruneExpired() {
+		for (const [key, value] of this._data_cache) {
+			if (value.expired) this._data_cache.delete(key)
+		}
+	}
+
 	/**
 	 * A hash will be created from the stringified object.
 	 *
@@ -49,6 +208,7 @@ class LocalCache {
 	}
 
 	storeFromFullId(actorFeedbackId, options, state, expires_after = 1000) {
+		if (this._data_cache.size > MAX_DATA_ENTRIES) this.pruneExpired()
 		const tsData = new TimestampedData(state, expires_after)
 		const cachekey = this.makeKeyWithOptions(actorFeedbackId, options)
 		this._data_cache.set(cachekey, tsData)
@@ -115,24 +275,40 @@ class LocalCache {
 	 *
 	 * @param {string} namePathOrUrl
 	 * @param {string} param1.label // unused for now, but it was in the previous code, so still here
-	 * @param {number} param1.width // all buttons are 72 pixels wide
+	 * @param {number} param1.width // standard buttons are 72 pixels wide, larger surfaces report more
 	 * @param {number} param1.height // if you are showing the topbar, this should be 72 - 14 = 58
 	 * @returns {Promise<string|undefined>} base64 image (with mime type)
 	 */
 	async getImageData(namePathOrUrl, { label = 'hello', width = 72, height = 72 } = {}) {
 		// console.log('getCachedImageData', namePathOrUrl)
+		// images given to us by name are used at the size they came in
 		if (this._image_cache.has(namePathOrUrl)) {
 			return this._image_cache.get(namePathOrUrl)
 		}
 
+		// images we load ourselves are kept for every size they are drawn at
+		const sizedKey = `${namePathOrUrl}@${width}x${height}`
+		const cached = this._image_cache.get(sizedKey)
+		if (cached !== undefined) {
+			return cached
+		}
+
+		// don't try images that failed recently again until their retry time
+		const failure = this._image_failures.get(namePathOrUrl)
+		if (failure) failure.askedAt = Date.now()
+		if (failure && Date.now() < failure.retryAt) {
+			return undefined
+		}
+
 		let image
 		try {
 			image = await Jimp.read(namePathOrUrl) // jimp can do urls, paths, and base64
 		} catch (e) {
-			console.log(e)
-			console.error('Error loading image:', namePathOrUrl)
+			const delay = this._recordImageFailure(namePathOrUrl, e)
+			this.log('error', `Error loading image: ${namePathOrUrl} (${e?.message ?? e}), retrying in ${delay / 1000}s`)
 			return undefined
 		}
+		this._clearImageFailure(namePathOrUrl)
 
 		if (image) {
 			image.cover({ w: width, h: height })
@@ -145,15 +321,94 @@ class LocalCache {
 				// })
 			}
 			const base64 = await image.getBase64('image/png')
-			this._image_cache.set(namePathOrUrl, base64)
+			this._image_cache.set(sizedKey, base64)
 			return base64
 		}
 		return undefined
 	}
 
-	setImageData(name, data) {
-		this._image_cache.set(name, data)
+	/**
+	 * Failed images are retried after `baseDelay`, doubling for every failure up to `maxDelay`.
+	 *
+	 * @param {object} param0
+	 * @param {number} param0.baseDelay milliseconds
+	 * @param {number} param0.maxDelay milliseconds
+	 */
+	setImageRetryPolicy({ baseDelay = this._image_retry.baseDelay, maxDelay = this._image_retry.maxDelay } = {}) {
+		this._image_retry = { baseDelay, maxDelay }
+	}
+
+	/** @returns {number} how many images currently fail to load */
+	get failingImageCount() {
+		return this._image_failures.size
+	}
+
+	/**
+	 * @param {string} namePathOrUrl
+	 * @param {any} error
+	 * @returns {number} milliseconds until we try again
+	 */
+	_recordImageFailure(namePathOrUrl, error) {
+		const attempts = (this._image_failures.get(namePathOrUrl)?.attempts ?? 0) + 1
+		const { baseDelay, maxDelay } = this._image_retry
+		const delay = Math.min(baseDelay * Math.pow(2, attempts - 1), maxDelay)
+		this._image_failures.set(namePathOrUrl, {
+			attempts,
+			retryAt: Date.now() + delay,
+			askedAt: Date.now(),
+			error: `${error?.message ?? error}`,
+		})
+		if (attempts == 1) this.onImageFailuresChanged(this._image_failures.size)
+		return delay
+	}
+
+	/**
+	 * Forget the images that failed to load and that no feedback has asked for within `maxDelay`,
+	 * e.g. because the button using them was changed. They would otherwise keep the status at warning.
+	 *
+	 * @param {number} now milliseconds, for testing
+	 */
+	pruneImageFailures(now = Date.now()) {
+		const { size } = this._image_failures
+		for (const [key, failure] of this._image_failures) {
+			if (now - failure.askedAt > this._image_retry.maxDelay) this._image_failures.delete(key)
+		}
+		if (this._image_failures.size != size) this.onImageFailuresChanged(this._image_failures.size)
+	}
+
+	/** Try every image again, e.g. after the configuration changed */
+	clearImageFailures() {
+		if (!this._image_failures.size) return
+		this._image_failures.clear()
+		this.onImageFailuresChanged(0)
+	}
+
+	_clearImageFailure(namePathOrUrl) {
+		if (this._image_failures.delete(namePathOrUrl)) {
+			this.onImageFailuresChanged(this._image_failures.size)
+		}
+	}
+
+	/**
+	 * Store image data that can't be loaded from a path or url. It stays in the cache until its group is invalidated.
+	 *
+	 * @param {string} name
+	 * @param {string} data base64 image data
+	 * @param {string} group e.g. 'imageset' for the automation image set
+	 */
+	setImageData(name, data, group = 'default') {
+		this._clearImageFailure(name)
+		this._image_cache.set(name, data, group)
+	}
+
+	/**
+	 * Remove all the images stored with setImageData for this group
+	 *
+	 * @param {string} group
+	 */
+	invalidateImageGroup(group) {
+		this._image_cache.invalidateGroup(group)
 	}
 }
 
-module.exports = { LocalCache }
+module.exports = { LocalCache, ImageCache }
@@ -0,0 +1,72 @@
+/**
+ * What the connected Captivate host can do, worked out from the `hostVersionInfo` it sends when we connect:
+ *
+ *     { "host": "TitlerLive", "platform": "macos", "sku": "SKUTL5BR", "version": "5.9.240213", ... }
+ *
+ * Hosts that don't say which build they are get none of the features, so the workarounds for older builds stay on.
+ */
+
+/**
+ * Module features that depend on the Captivate build. `afterBuild` is the date (yymmdd) of the last build without the feature.
+ *
+ * Only add features with a documented cutoff. Where the host's replies show whether it can do something,
+ * like the feedback ids with or without a scope (see scopeFeedbackId), look at the replies instead.
+ */
+const FEATURES = {
+	// Captivate picks the active spreadsheet itself when the activesheet feedback has no input name.
+	// Builds after 2025-01-17 do, see _queryFeedbackState
+	activeSheetInputName: { afterBuild: 250117 },
+}
+
+/**
+ * Product editions, by the end of the SKU. They are only shown in the host variables.
+ */
+const EDITIONS = {
+	BR: { name: 'Broadcast' },
+	PR: { name: 'Present' },
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+/**
+ * The date of the build, from the last part of the version, or from the build date when the version has none.
+ *
+ * @param {{version?: string, buildDate?: string}} [hostVersionInfo] e.g. `{ version: '5.9.240213', buildDate: 'Feb 13 2024' }`
+ * @returns {number|undefined} the date as yymmdd, e.g. 240213
+ */
+function parseBuild(hostVersionInfo) {
+	const build = `${hostVersionInfo?.version ?? ''}`.match(/^\d+\.\d+\.(\d{6})/)?.[1]
+	if (build) return Number(build)
+
+	// the compiler's __DATE__, which pads the day with a space
+	const date = `${hostVersionInfo?.buildDate ?? ''}`.match(/^(\w{3}) +(\d{1,2}) \d{2}(\d{2})$/)
+	const month = MONTHS.indexOf(date?.[1]) + 1
+	if (!month) return undefined
+	return Number(date[3]) * 10000 + month * 100 + Number(date[2])
+}
+
+/**
+ * @param {string} [sku] e.g. 'SKUTL5BR'
+ * @returns {{code: string, name: string}|undefined}
+ */
+function parseEdition(sku) {
+	const code = `${sku ?? ''}`.match(/([A-Z]{2})$/)?.[1]
+	return code && EDITIONS[code] ? { code, ...EDITIONS[code] } : undefined
+}
+
+/**
+ * @param {{host?: string, platform?: string, sku?: string, version?: string, buildDate?: string}} [hostVersionInfo]
+ * @returns {{activeSheetInputName: boolean, edition?: string}}
+ */
+function hostCapabilities(hostVersionInfo) {
+	const build = parseBuild(hostVersionInfo)
+	const edition = parseEdition(hostVersionInfo?.sku)
+
+	const capabilities = { edition: edition?.name }
+	for (const [feature, { afterBuild }] of Object.entries(FEATURES)) {
+		capabilities[feature] = build != undefined && build > afterBuild
+	}
+	return capabilities
+}
+
+module.exports = { FEATURES, EDITIONS, parseBuild, hostCapabilities }
@@ -40,6 +40,134 @@ module.exports = {
 				isVisible: (options) => !!options['bonjour_host'],
 				value: '',
 			},
+			{
+				type: 'textinput',
+				id: 'backup_hosts',
+				label: 'Backup Hosts',
+				tooltip:
+					'Other Captivate machines to use when the one above is unavailable, tried in order. Separate them with commas, e.g. 10.0.0.2:9023, 10.0.0.3',
+				width: 12,
+				default: '',
+			},
+			{
+				type: 'checkbox',
+				id: 'failback',
+				label: 'Return to Primary Host',
+				tooltip: 'While connected to a backup host, switch back as soon as the primary host is available again',
+				width: 6,
+				default: false,
+			},
+			{
+				type: 'number',
+				id: 'failback_interval',
+				label: 'Primary Host Check Interval (seconds)',
+				width: 6,
+				min: 1,
+				max: 600,
+				default: 15,
+				isVisible: (options) => !!options['failback'],
+			},
+			{
+				type: 'textinput',
+				id: 'mirror_hosts',
+				label: 'Mirror Hosts',
+				tooltip:
+					'Captivate machines that receive a copy of every action, e.g. a hot spare. Feedback only comes from the connected host. Separate them with commas.',
+				width: 12,
+				default: '',
+			},
+			{
+				type: 'checkbox',
+				id: 'project_presets',
+				label: 'Presets for Project Titles and Variables',
+				tooltip:
+					'Add presets for every title and variable in the current Captivate project, in addition to the presets from the automation library',
+				width: 12,
+				default: false,
+			},
+			{
+				type: 'number',
+				id: 'image_cache_size',
+				label: 'Image Cache Size (MB)',
+				tooltip:
+					'Memory for images loaded from files and urls. The least recently used images are dropped when it is full.',
+				width: 6,
+				min: 1,
+				max: 1024,
+				default: 32,
+			},
+			{
+				type: 'number',
+				id: 'image_retry_delay',
+				label: 'Failed Image Retry Delay (seconds)',
+				tooltip: 'Wait this long before loading an image that failed again. The wait doubles after every failure.',
+				width: 6,
+				min: 1,
+				max: 3600,
+				default: 30,
+			},
+			{
+				type: 'number',
+				id: 'render_workers',
+				label: 'Image Render Threads',
+				tooltip:
+					'Button images with overlays and borders are drawn in this many background threads. Set to 0 to draw them in the module itself.',
+				width: 6,
+				min: 0,
+				max: 8,
+				default: 2,
+			},
+			{
+				type: 'number',
+				id: 'reconnect_max_delay',
+				label: 'Maximum Reconnect Delay (seconds)',
+				tooltip: 'Reconnection attempts wait longer after each failure, up to this many seconds',
+				width: 6,
+				min: 1,
+				max: 600,
+				default: 30,
+			},
+			{
+				type: 'number',
+				id: 'heartbeat_interval',
+				label: 'Heartbeat Interval (seconds)',
+				tooltip: 'How often to check that Captivate is still responding. Set to 0 to disable.',
+				width: 6,
+				min: 0,
+				max: 300,
+				default: 5,
+			},
+			{
+				type: 'number',
+				id: 'heartbeat_timeout',
+				label: 'Heartbeat Timeout (seconds)',
+				tooltip: 'Reconnect when Captivate takes longer than this to answer a heartbeat',
+				width: 6,
+				min: 1,
+				max: 60,
+				default: 3,
+			},
+			{
+				type: 'number',
+				id: 'call_timeout',
+				label: 'Request Timeout (seconds)',
+				tooltip: 'Give up on a request to Captivate when it takes longer than this. Set to 0 to wait forever.',
+				width: 6,
+				min: 0,
+				max: 300,
+				default: 10,
+			},
+			{
+				type: 'number',
+				id: 'variable_sync_interval',
+				label: 'Variable Check Interval (seconds)',
+				tooltip:
+					'How often to compare the title variables with Captivate, to catch changes that were missed. Set to 0 to disable.',
+				width: 6,
+				min: 0,
+				max: 3600,
+				default: 30,
+			},
 		]
 	},
 }
@@ -0,0 +1,210 @@
+const { Jimp, loadFont, measureTextHeight, HorizontalAlign, VerticalAlign } = require('jimp')
+const fonts = require('jimp/fonts')
+
+const BUTTON_SIZE = 72
+
+/**
+ * The drawing primitives a feedback state can ask for in its `draw` list, with their defaults.
+ * Sizes are in pixels on a standard 72x72 button, and are scaled for larger buttons.
+ * Colors can be anything Companion understands, e.g. 0xff0000 or '#ff0000'.
+ *
+ * - progress: a bar along the top or bottom, filled to `value` (0-1, or out of `max`)
+ * - ring: a ring around the button, e.g. for a countdown, filled clockwise to `value`
+ * - badge: a circle in a corner with a short text, e.g. a count
+ * - tally: a solid stripe along one edge
+ * - text: a line of text, in addition to the button text from Companion
+ */
+const DRAWING_DEFAULTS = {
+	progress: { value: 0, color: 0x00c800, bgcolor: 0x404040, position: 'bottom', height: 6 },
+	ring: { value: 0, color: 0xffffff, bgcolor: undefined, thickness: 5 },
+	badge: { text: '', color: 0xffffff, bgcolor: 0xc80000, corner: 'topright', size: 22 },
+	tally: { color: 0xc80000, position: 'top', width: 6 },
+	text: { text: '', color: 0xffffff, position: 'bottom', size: 16 },
+}
+
+const COLOR_PROPERTIES = ['color', 'bgcolor']
+const PIXEL_PROPERTIES = ['height', 'thickness', 'size', 'width']
+
+// the bitmap fonts that come with jimp, by pixel size. they are white, so text is tinted afterwards
+const FONT_SIZES = [8, 16, 32, 64, 128]
+const loadedFonts = new Map()
+
+/**
+ * Check and complete the `draw` list of a feedback state, so it can be sent to the renderer.
+ * Runs on the main thread, where Companion's color parsing is available.
+ *
+ * @param {object|object[]} draw one primitive, or a list of them
+ * @param {number} scale the button size relative to a standard button
+ * @param {(color: string|number) => number} toJimpColor
+ * @returns {{primitives: object[], errors: string[]}}
+ */
+function normalizeDrawing(draw, scale, toJimpColor) {
+	const primitives = []
+	const errors = []
+	for (const item of [draw].flat()) {
+		const defaults = DRAWING_DEFAULTS[item?.type]
+		if (!defaults) {
+			errors.push(`unknown drawing primitive: ${JSON.stringify(item?.type)}`)
+			continue
+		}
+
+		const primitive = { ...defaults, ...item }
+		for (const property of COLOR_PROPERTIES) {
+			if (primitive[property] != undefined) primitive[property] = toJimpColor(primitive[property])
+		}
+		for (const property of PIXEL_PROPERTIES) {
+			if (primitive[property] != undefined) primitive[property] = Math.max(1, Math.round(primitive[property] * scale))
+		}
+		if (hasValue(primitive)) {
+			const value = Number(primitive.value) / (Number(primitive.max) || 1)
+			primitive.value = Math.min(Math.max(Number.isFinite(value) ? value : 0, 0), 1)
+			delete primitive.max
+		}
+		if (primitive.text != undefined) primitive.text = `${primitive.text}`
+		primitives.push(primitive)
+	}
+	return { primitives, errors }
+}
+
+function hasValue(primitive) {
+	return primitive.type == 'progress' || primitive.type == 'ring'
+}
+
+function fillRect(image, x, y, w, h, color) {
+	image.scan(x, y, w, h, (_x, _y, idx) => {
+		image.bitmap.data.writeUInt32BE(color, idx)
+	})
+}
+
+/**
+ * @param {*} image a Jimp image
+ * @param {{color: number, left: number, top: number, right: number, bottom: number}} border color is 0xRRGGBBAA
+ */
+function drawBorder(image, { color, left, top, right, bottom }) {
+	const { width, height } = image.bitmap
+	fillRect(image, 0, 0, width, top, color)
+	fillRect(image, 0, height - bottom, width, bottom, color)
+	fillRect(image, 0, 0, left, height, color)
+	fillRect(image, width - right, 0, right, height, color)
+}
+
+async function whiteFont(size) {
+	const fontSize = FONT_SIZES.filter((s) => s <= size).pop() ?? FONT_SIZES[0]
+	if (!loadedFonts.has(fontSize)) {
+		loadedFonts.set(fontSize, loadFont(fonts[`SANS_${fontSize}_WHITE`]))
+	}
+	return loadedFonts.get(fontSize)
+}
+
+/** Draw white text on its own layer, color it, and put it on the image */
+async function printText(image, text, color, size, area) {
+	const font = await whiteFont(size)
+	const layer = new Jimp({ width: image.bitmap.width, height: image.bitmap.height, color: 0x00000000 })
+	layer.print({
+		font,
+		x: area.x,
+		y: area.y,
+		text: { text, alignmentX: HorizontalAlign.CENTER, alignmentY: VerticalAlign.MIDDLE },
+		maxWidth: area.w,
+		maxHeight: area.h,
+	})
+
+	const alpha = (color & 0xff) / 255
+	const rgb = color & 0xffffff00
+	layer.scan(0, 0, layer.bitmap.width, layer.bitmap.height, (_x, _y, idx) => {
+		const a = layer.bitmap.data[idx + 3]
+		if (a) layer.bitmap.data.writeUInt32BE((rgb | Math.round(a * alpha)) >>> 0, idx)
+	})
+	image.composite(layer, 0, 0)
+	return font
+}
+
+function drawProgress(image, { value, color, bgcolor, position, height }) {
+	const { width } = image.bitmap
+	const y = position == 'top' ? 0 : image.bitmap.height - height
+	if (bgcolor != undefined) fillRect(image, 0, y, width, height, bgcolor)
+	fillRect(image, 0, y, Math.round(width * value), height, color)
+}
+
+function drawRing(image, { value, color, bgcolor, thickness }) {
+	const { width, height } = image.bitmap
+	const cx = width / 2
+	const cy = height / 2
+	const outer = Math.min(width, height) / 2
+	const inner = outer - thickness
+
+	image.scan(0, 0, width, height, (x, y, idx) => {
+		const dx = x + 0.5 - cx
+		const dy = y + 0.5 - cy
+		const distance = Math.sqrt(dx * dx + dy * dy)
+		if (distance > outer || distance < inner) return
+
+		// clockwise from twelve o'clock
+		const angle = (Math.atan2(dx, -dy) + 2 * Math.PI) % (2 * Math.PI)
+		if (angle / (2 * Math.PI) < value) {
+			image.bitmap.data.writeUInt32BE(color, idx)
+		} else if (bgcolor != undefined) {
+			image.bitmap.data.writeUInt32BE(bgcolor, idx)
+		}
+	})
+}
+
+async function drawBadge(image, { text, color, bgcolor, corner, size }) {
+	const { width, height } = image.bitmap
+	const x = corner.endsWith('left') ? 0 : width - size
+	const y = corner.startsWith('bottom') ? height - size : 0
+	const radius = size / 2
+
+	image.scan(x, y, size, size, (px, py, idx) => {
+		const dx = px + 0.5 - (x + radius)
+		const dy = py + 0.5 - (y + radius)
+		if (dx * dx + dy * dy <= radius * radius) {
+			image.bitmap.data.writeUInt32BE(bgcolor, idx)
+		}
+	})
+	if (text) {
+		await printText(image, text, color, size * 0.75, { x, y, w: size, h: size })
+	}
+}
+
+function drawTally(image, { color, position, width: stripe }) {
+	const { width, height } = image.bitmap
+	if (position == 'left') fillRect(image, 0, 0, stripe, height, color)
+	else if (position == 'right') fillRect(image, width - stripe, 0, stripe, height, color)
+	else if (position == 'bottom') fillRect(image, 0, height - stripe, width, stripe, color)
+	else fillRect(image, 0, 0, width, stripe, color)
+}
+
+async function drawText(image, { text, color, position, size }) {
+	if (!text) return
+	const { width, height } = image.bitmap
+	const font = await whiteFont(size)
+	const lineHeight = measureTextHeight(font, text, width)
+	const margin = Math.round(width / BUTTON_SIZE) * 2
+	let y = height - lineHeight - margin
+	if (position == 'top') y = margin
+	else if (position == 'middle') y = Math.round((height - lineHeight) / 2)
+	await printText(image, text, color, size, { x: 0, y, w: width, h: lineHeight })
+}
+
+const DRAW = {
+	progress: drawProgress,
+	ring: drawRing,
+	badge: drawBadge,
+	tally: drawTally,
+	text: drawText,
+}
+
+/**
+ * Draw the primitives from normalizeDrawing onto the image, in order.
+ *
+ * @param {*} image a Jimp image
+ * @param {object[]} primitives
+ */
+async function drawPrimitives(image, primitives) {
+	for (const primitive of primitives) {
+		await DRAW[primitive.type]?.(image, primitive)
+	}
+}
+
+module.exports = { DRAWING_DEFAULTS, normalizeDrawing, drawPrimitives, drawBorder }
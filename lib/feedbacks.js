@@ -1,17 +1,28 @@
 /** These functions will be included in the main class, so it's safe to use "this" */
 
+// overlays from the automation image set (see getImageSet), as used by the layer feedbacks
+const ON_AIR_OVERLAY_IMAGE = 'play_layer_red'
+const OFF_AIR_OVERLAY_IMAGE = 'play_layer'
+
 module.exports = {
 	setupFeedbacks() {
 		this.requestCompanionDefinition('feedbacks')
-			.then((response) => this.publishFeedbacks(response))
+			.then(
+				// a registry without feedbacks still gets the ones built on the scheduler API
+				(response) => this.publishFeedbacks(response ?? []),
+				(e) => {
+					this.log('error', 'error requesting feedbacks: ' + e)
+
+					// the automation registry failed us, but the feedbacks that talk to the scheduler directly still work
+					this.publishFeedbacks([])
+				},
+			)
 			.then((_) => {
 				this.checkFeedbacks()
 				// disable cache rebuilding
 				// this.allowsFeedbackCacheRebuilding = false
 			})
-			.catch((e) => {
-				console.error('error requesting feedbacks:', e)
-			})
+			.catch((e) => this.log('error', 'error publishing feedbacks: ' + e))
 	},
 
 	publishFeedbacks(response) {
@@ -20,6 +31,7 @@ module.exports = {
 		if (response != undefined) {
 			const feedbacks = {}
 			response.forEach((feedback) => {
+				feedback.id = this.scopeFeedbackId(feedback.id)
 				const fullId = feedback.id
 
 				this.debug('publishing feedback: ' + fullId)
@@ -70,7 +82,7 @@ module.exports = {
 
 			// this.debug("publish feedbacks", feedbacks);
 
-			this.setFeedbackDefinitions(feedbacks)
+			this.publishDefinitions('feedbacks', feedbacks)
 		}
 	},
 
@@ -105,5 +117,152 @@ module.exports = {
 				return result
 			},
 		}
+
+		// add a feedback for variables that should hold the same value in every title that has them
+		id = this.makeCustomFeedbackId('boolean', 'variableDrift')
+		const nameChoices = this.variableNames.map((varname) => ({ id: varname, label: varname }))
+		feedbacks[id] = {
+			id,
+			type: 'boolean',
+			name: 'Variable: Differs Across Titles',
+			description: 'Change style when the titles that have this variable hold different values',
+			defaultStyle: {
+				color: this.rgb(0, 0, 0),
+				bgcolor: this.rgb(255, 160, 0),
+			},
+			options: [
+				{
+					id: 'varname',
+					type: 'dropdown',
+					label: 'Variable Name',
+					tooltip: 'Choose a variable name, or type one',
+					choices: nameChoices,
+					default: nameChoices[0]?.id ?? '',
+					allowCustom: true,
+				},
+			],
+			callback: async (feedback) => {
+				const values = this.findVariableAcrossTitles(feedback.options.varname).map(
+					// compared as text, like the variable store does
+					({ variableId }) => `${this.getVar(variableId) ?? ''}`,
+				)
+				return new Set(values).size > 1
+			},
+		}
+
+		// add a feedback that follows the play state of a title (kept up to date by play events)
+		id = this.makeCustomFeedbackId('boolean', 'titleOnAir')
+		feedbacks[id] = {
+			id,
+			type: 'boolean',
+			name: 'Title: Is On Air',
+			description: 'Change style when the title is running or paused',
+			defaultStyle: {
+				color: this.rgb(255, 255, 255),
+				bgcolor: this.rgb(200, 0, 0),
+			},
+			options: [
+				{
+					id: 'titleid',
+					type: 'dropdown',
+					label: 'Title',
+					choices: this.CHOICES_TITLES,
+					default: this.CHOICES_TITLES[0]?.id ?? '',
+				},
+				{
+					id: 'includePaused',
+					type: 'checkbox',
+					label: 'Paused titles are on air',
+					default: true,
+				},
+			],
+			callback: async (feedback) => {
+				const playState = this.titlesPlayStatus[feedback.options.titleid]
+				return playState == 'running' || (!!feedback.options.includePaused && playState == 'paused')
+			},
+		}
+
+		// follows the run clock (see trackLayerStates), which also covers layers that aren't project titles
+		id = this.makeCustomFeedbackId('boolean', 'titleRunningLonger')
+		feedbacks[id] = {
+			id,
+			type: 'boolean',
+			name: 'Title: Running Longer Than',
+			description: 'Change style when a title or layer has been running for more than some seconds',
+			defaultStyle: {
+				color: this.rgb(0, 0, 0),
+				bgcolor: this.rgb(255, 160, 0),
+			},
+			options: [
+				{
+					id: 'titleid',
+					type: 'dropdown',
+					label: 'Title',
+					tooltip: 'Choose a title, or type the key of a layer',
+					choices: this.CHOICES_TITLES,
+					default: this.CHOICES_TITLES[0]?.id ?? '',
+					allowCustom: true,
+				},
+				{
+					id: 'seconds',
+					type: 'number',
+					label: 'Seconds',
+					min: 0,
+					max: 86400,
+					default: 10,
+				},
+				{
+					id: 'includePaused',
+					type: 'checkbox',
+					label: 'Paused titles count as running',
+					default: false,
+				},
+			],
+			callback: async (feedback) => {
+				const key = feedback.options.titleid
+				const playState = this.runClock.playState(key)
+				const running = playState == 'running' || (!!feedback.options.includePaused && playState == 'paused')
+				return running && this.runClock.elapsed(key) > Number(feedback.options.seconds)
+			},
+		}
+
+		// draw the title's icon on the button, with the same play state overlays Captivate uses for layers
+		id = this.makeCustomFeedbackId('advanced', 'titleThumbnail')
+		feedbacks[id] = {
+			id,
+			type: 'advanced',
+			name: 'Title: Thumbnail',
+			description: 'Show the icon of the title, with an overlay for its play state',
+			options: [
+				{
+					id: 'titleid',
+					type: 'dropdown',
+					label: 'Title',
+					choices: this.CHOICES_TITLES,
+					default: this.CHOICES_TITLES[0]?.id ?? '',
+				},
+				{
+					id: 'showPlayState',
+					type: 'checkbox',
+					label: 'Show play state overlay',
+					default: true,
+				},
+			],
+			callback: async (feedback) => {
+				const size = this.getFeedbackImageSize(feedback)
+				const title = this.titlesById[feedback.options.titleid]
+				const png64 = await this.getTitleIcon(title)
+				if (!png64) return {}
+
+				const state = { png64 }
+				if (feedback.options.showPlayState) {
+					const playState = this.titlesPlayStatus[title.id]
+					const onAir = playState == 'running' || playState == 'paused'
+					state.overlayImageName = onAir ? ON_AIR_OVERLAY_IMAGE : OFF_AIR_OVERLAY_IMAGE
+				}
+				const render = { renderKey: feedback.id, size }
+				return this._adaptToCompanionStyle(await this._handleFeedbackOverlayImage(state, render), render)
+			},
+		}
 	},
 }
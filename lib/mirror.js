@@ -0,0 +1,115 @@
+const WebSocket = require('ws')
+const QWebChannelEx = require('../contrib/qwebchannel').QWebChannel
+const { ReconnectManager } = require('./reconnect')
+
+/**
+ * A send-only connection to a secondary Captivate host.
+ *
+ * Actions sent to the primary host are repeated here so a hot-spare stays in lockstep.
+ * Nothing is read back from a mirror: feedbacks and variables only come from the primary.
+ */
+class MirrorConnection {
+	/** @type {WebSocket|undefined} */
+	socket = undefined
+
+	/** @type {any} the scheduler object, once the channel is ready */
+	scheduler = undefined
+
+	/**
+	 * @param {string} url websocket url of the mirror host
+	 * @param {object} param1
+	 * @param {(level: string, message: string) => void} param1.log
+	 * @param {() => void} param1.onChange called when the mirror connects or disconnects
+	 * @param {number} param1.maxDelay maximum milliseconds between reconnection attempts
+	 */
+	constructor(url, { log = () => {}, onChange = () => {}, maxDelay = 30_000 } = {}) {
+		this.url = url
+		this.log = log
+		this.onChange = onChange
+		this.reconnect = new ReconnectManager({ maxDelay })
+		this.closed = false
+	}
+
+	get connected() {
+		return this.scheduler != undefined
+	}
+
+	connect() {
+		this._closeSocket()
+		this.closed = false
+
+		const socket = new WebSocket(this.url)
+		this.socket = socket
+
+		socket.on('open', () => {
+			this.reconnect.reset()
+			new QWebChannelEx(socket, (channel) => {
+				if (socket !== this.socket) return
+				this.scheduler = channel.objects.scheduler
+				this.scheduler.notifyClientConnected(
+					'com.newblue.companion-module-captivate',
+					'3.0',
+					{ mirror: true },
+					() => {},
+				)
+				this.log('info', `NewBlue: Captivate: Mirroring actions to ${this.url}`)
+				this.onChange()
+			})
+		})
+
+		socket.on('error', (e) => {
+			if (socket !== this.socket) return
+			this.log('debug', `mirror ${this.url} connection error ${e}`)
+		})
+
+		socket.on('close', () => {
+			if (socket !== this.socket) return
+			const wasConnected = this.connected
+			this.socket = undefined
+			this.scheduler = undefined
+			if (wasConnected) {
+				this.log('warn', `NewBlue: Captivate: Mirror ${this.url} disconnected.`)
+				this.onChange()
+			}
+			if (!this.closed) this.reconnect.schedule(() => this.connect())
+		})
+	}
+
+	/**
+	 * Call a scheduler method on the mirror without waiting for a reply.
+	 * When the mirror isn't connected, the call is dropped.
+	 *
+	 * @param {string} method
+	 * @param  {...any} args
+	 * @returns {boolean} true if the call was sent
+	 */
+	send(method, ...args) {
+		if (!this.connected || typeof this.scheduler[method] != 'function') {
+			this.log('debug', `mirror ${this.url} is not ready, skipping ${method}`)
+			return false
+		}
+		this.scheduler[method](...args)
+		return true
+	}
+
+	/** Disconnect and stop reconnecting */
+	close() {
+		this.closed = true
+		this.reconnect.cancel()
+		const wasConnected = this.connected
+		this._closeSocket()
+		if (wasConnected) this.onChange()
+	}
+
+	_closeSocket() {
+		const socket = this.socket
+		this.socket = undefined
+		this.scheduler = undefined
+		if (!socket) return
+		socket.removeAllListeners()
+		socket.on('error', () => {})
+		socket.terminate()
+	}
+}
+
+module.exports = { MirrorConnection }
@@ -135,19 +135,95 @@ module.exports = {
 			 * NodeJS server (or in the Automation controller in older Captivate versions).
 			 *
 			 * However, we can also make this module do even more by interfacing with the Captivate API
-			 * directly. The following code will add some extra presets that are not defined in the Automation
-			 * Startup sequence.
-			 *
-			 *
-			 * REMOVED FOR NOW: The extra presets were confusing to some users.
-			 * For now, we are removing the features from the presets, but the actions, feedbacks, and variables
-			 * will remain in the system in case an advanced user wants to use them.
+			 * directly. The following code will add some extra presets for the titles and variables in
+			 * the current project that are not defined in the Automation Startup sequence.
 			 *
+			 * The extra presets were confusing to some users, so they are only added when the
+			 * connection is configured to show them.
 			 */
-			// this.addExtraPresets(presets)
+			if (this.config.project_presets) {
+				await this.addTitlePresets(presets)
+				this.addExtraPresets(presets)
+			}
 
 			// this.debug('publishing presets', presets);
-			this.setPresetDefinitions(presets)
+			this.publishDefinitions('presets', presets)
+		}
+	},
+
+	/**
+	 * Add a play/stop button for every title in the project, showing the title's icon
+	 * and following its play state, and a button that plays the title for a few seconds.
+	 *
+	 * @param {PresetDefinition[]} presets
+	 */
+	async addTitlePresets(presets) {
+		const actionId = this.makeCustomActionId('titleToggleAction')
+		const playForActionId = this.makeCustomActionId('titlePlayForAction')
+		const feedbackId = this.makeCustomFeedbackId('boolean', 'titleOnAir')
+
+		for (const title of this.titles) {
+			const { variableId } = this.makePlayStateVarDefinition(title)
+			const style = {
+				text: `${title.name}\n$(${this.instanceName}:${variableId})`,
+				alignment: 'center:bottom',
+				pngalignment: 'center:center',
+				size: '7',
+				color: this.rgb(255, 255, 255),
+				bgcolor: this.rgb(0, 0, 40),
+				show_topbar: false,
+			}
+			const icon = await this.getTitleIcon(title)
+			if (icon) style.png64 = icon
+
+			presets.push(
+				new PresetDefinition(
+					'Project Titles',
+					`Play or stop ${title.name}`,
+					style,
+					[
+						{
+							feedbackId,
+							options: { titleid: title.id, includePaused: true },
+							style: { bgcolor: this.rgb(200, 0, 0) },
+						},
+					],
+					[
+						{
+							down: [{ actionId, options: { titleid: title.id } }],
+							up: [],
+						},
+					],
+				),
+			)
+
+			// the countdown shows while the title is waiting to be taken out
+			const autoOut = this.makeAutoOutVarDefinition(title)
+			presets.push(
+				new PresetDefinition(
+					'Project Titles',
+					`Play ${title.name} for 10 seconds`,
+					{ ...style, text: `${title.name}\n$(${this.instanceName}:${autoOut.variableId})` },
+					[
+						{
+							feedbackId,
+							options: { titleid: title.id, includePaused: true },
+							style: { bgcolor: this.rgb(200, 0, 0) },
+						},
+					],
+					[
+						{
+							down: [
+								{
+									actionId: playForActionId,
+									options: { titleid: title.id, seconds: 10, incommand: 'animin', outcommand: 'animout' },
+								},
+							],
+							up: [],
+						},
+					],
+				),
+			)
 		}
 	},
 
@@ -182,7 +258,7 @@ module.exports = {
 				// add a variable display button for every title's variables
 				presets.push(
 					new PresetDefinition(
-						`Variables: ${titlename}`,
+						`Project Variables: ${titlename}`,
 						`A button with the name and value of a variable for but preset actions or feedbacks.`,
 						{ ...varButtonStyle, text: varNameWithTitleVarValue },
 						[],
@@ -194,7 +270,7 @@ module.exports = {
 				let actionId = this.makeCustomActionId('variableSetAction')
 				presets.push(
 					new PresetDefinition(
-						`Variables: ${titlename}`,
+						`Project Variables: ${titlename}`,
 						`Set the variable to a specified value.`,
 						{ ...varButtonStyle, text: `Set\n${varNameWithTitleVarValue}`, bgcolor: setButtonColor },
 						[],
@@ -222,7 +298,7 @@ module.exports = {
 					actionId = this.makeCustomActionId('variableToggleAction')
 					presets.push(
 						new PresetDefinition(
-							`Variables: ${titlename}`,
+							`Project Variables: ${titlename}`,
 							`Toggle a variable's visibility`,
 							{ ...varButtonStyle, text: 'Toggle\n' + varNameWithTitle, bgcolor: toggleButtonColor },
 							[
@@ -258,7 +334,7 @@ module.exports = {
 					actionId = this.makeCustomActionId('variableSetAction')
 					presets.push(
 						new PresetDefinition(
-							`Variables: ${titlename}`,
+							`Project Variables: ${titlename}`,
 							`Turn a variable on and off again after a set delay`,
 							{ ...varButtonStyle, text: 'Alert\n' + varNameWithTitle, bgcolor: alertButtonColor },
 							[
@@ -306,7 +382,7 @@ module.exports = {
 					actionId = this.makeCustomActionId('variableIncrementAction')
 					presets.push(
 						new PresetDefinition(
-							`Variables: ${titlename}`,
+							`Project Variables: ${titlename}`,
 							`Increment variable value by a custom amount.`,
 							{ ...varButtonStyle, text: 'Increment\n' + varNameWithTitleVarValue, bgcolor: setButtonColor },
 							[],
@@ -334,13 +410,20 @@ module.exports = {
 
 	initPresets() {
 		this.requestCompanionDefinition('presets')
-			.then((response) => {
-				// console.log('latest presets loaded from captivate', response)
-				this.publishPresets(response)
-			})
-			.catch((e) => {
-				console.error('error requesting presets', e)
-			})
+			.then(
+				(response) => {
+					// console.log('latest presets loaded from captivate', response)
+					return this.publishPresets(response)
+				},
+				(e) => {
+					this.error(`error requesting presets: ${e}`)
+
+					// the project presets don't depend on the automation registry
+					return this.publishPresets([])
+				},
+			)
+			// keep the presets we published before, rather than replacing them with fewer
+			.catch((e) => this.error(`error publishing presets: ${e}`))
 	},
 }
 
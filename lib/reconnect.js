@@ -0,0 +1,97 @@
+/**
+ * Schedules reconnection attempts with exponential backoff and jitter.
+ *
+ * Only one attempt is ever pending. Scheduling a new attempt replaces the
+ * previous one, and `cancel()` stops any pending attempt.
+ */
+class ReconnectManager {
+	/** @type {ReturnType<typeof setTimeout>|undefined} */
+	_timer = undefined
+
+	/** number of attempts since the last successful connection */
+	attempts = 0
+
+	/** @type {Date|undefined} when the next attempt will run */
+	nextRetryAt = undefined
+
+	/**
+	 * @param {object} param0
+	 * @param {number} param0.baseDelay milliseconds to wait before the first attempt
+	 * @param {number} param0.maxDelay the delay will never grow beyond this many milliseconds
+	 * @param {number} param0.factor the delay is multiplied by this for every failed attempt
+	 * @param {number} param0.jitter fraction of the delay (0-1) to randomly add or remove
+	 * @param {(manager: ReconnectManager) => void} param0.onChange called whenever the attempts or next retry change
+	 */
+	constructor({ baseDelay = 1000, maxDelay = 30_000, factor = 2, jitter = 0.2, onChange = () => {} } = {}) {
+		this.baseDelay = baseDelay
+		this.maxDelay = maxDelay
+		this.factor = factor
+		this.jitter = jitter
+		this.onChange = onChange
+	}
+
+	get pending() {
+		return this._timer != undefined
+	}
+
+	/**
+	 * The delay for the next attempt, before jitter is applied
+	 * @returns {number}
+	 */
+	nextDelay() {
+		const delay = this.baseDelay * Math.pow(this.factor, this.attempts)
+		return Math.min(delay, this.maxDelay)
+	}
+
+	/**
+	 * Run `fn` after the backoff delay. Replaces any attempt that is already pending.
+	 *
+	 * @param {() => void} fn
+	 * @param {number} [delay] milliseconds to wait instead of the backoff delay
+	 * @returns {number} the delay in milliseconds
+	 */
+	schedule(fn, delay = undefined) {
+		this._clearTimer()
+
+		if (delay == undefined) {
+			delay = this.nextDelay()
+			delay += delay * this.jitter * (Math.random() * 2 - 1)
+		}
+		delay = Math.max(0, Math.round(delay))
+
+		this.attempts += 1
+		this.nextRetryAt = new Date(Date.now() + delay)
+		this._timer = setTimeout(() => {
+			this._timer = undefined
+			this.nextRetryAt = undefined
+			this.onChange(this)
+			fn()
+		}, delay)
+		this.onChange(this)
+		return delay
+	}
+
+	/** Stop any pending attempt, but remember how many attempts have been made */
+	cancel() {
+		this._clearTimer()
+		this.nextRetryAt = undefined
+		this.onChange(this)
+	}
+
+	/** Stop any pending attempt and start the backoff over, e.g. after a successful connection */
+	reset() {
+		this._clearTimer()
+		this.attempts = 0
+		this.nextRetryAt = undefined
+		this.onChange(this)
+	}
+
+	_clearTimer() {
+		if (this._timer != undefined) {
+			clearTimeout(this._timer)
+			this._timer = undefined
+		}
+	}
+}
+
+module.exports = { ReconnectManager }
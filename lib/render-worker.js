@@ -0,0 +1,78 @@
+const { isMainThread, parentPort } = require('worker_threads')
+const { Jimp } = require('jimp')
+const { drawBorder, drawPrimitives } = require('./drawing')
+
+const BUTTON_SIZE = 72
+
+/**
+ * Decode base64 png data, falling back to a transparent button when it can't be read.
+ *
+ * @param {string|undefined} png64 with or without a `data:` prefix
+ * @param {string[]} errors problems are added here so they can be logged by the module
+ * @param {string} what used in the error message
+ * @param {number} width of the fallback image
+ * @param {number} height of the fallback image
+ */
+async function readImage(png64, errors, what, width = BUTTON_SIZE, height = BUTTON_SIZE) {
+	if (png64) {
+		try {
+			return await Jimp.read(Buffer.from(png64.replace(/^data:[^,]*,/, ''), 'base64'))
+		} catch (e) {
+			errors.push(`Error loading ${what} image: ${e?.message ?? e}`)
+		}
+	}
+	return new Jimp({ width, height, color: 0x00000000 })
+}
+
+/**
+ * Composite a feedback image. This runs in the render workers, but also works on the main thread.
+ *
+ * @param {object} job
+ * @param {string} [job.base] base64 png, a transparent button when missing
+ * @param {string} [job.overlay] base64 png stretched over the whole base
+ * @param {object[]} [job.draw] drawing primitives, see normalizeDrawing in drawing.js
+ * @param {object} [job.border] see drawBorder in drawing.js
+ * @param {number} [job.width] size of the result, the size of the base when missing
+ * @param {number} [job.height]
+ * @returns {Promise<{png64: string, errors: string[]}>}
+ */
+async function renderImage({ base, overlay, draw, border, width, height }) {
+	const errors = []
+	const image = await readImage(base, errors, 'base', width, height)
+	if (width && height && (image.bitmap.width != width || image.bitmap.height != height)) {
+		image.cover({ w: width, h: height })
+	}
+
+	if (overlay) {
+		// overlays are layer frames for the whole button, so they must line up with its edges
+		const layer = await readImage(overlay, errors, 'overlay')
+		layer.resize({ w: image.bitmap.width, h: image.bitmap.height })
+		image.composite(layer, 0, 0, {
+			mode: Jimp.BLEND_SOURCE_OVER,
+			opacitySource: 1.0,
+			opacityDest: 1.0,
+		})
+	}
+
+	if (draw) {
+		await drawPrimitives(image, draw)
+	}
+
+	if (border) {
+		drawBorder(image, border)
+	}
+
+	return { png64: await image.getBase64('image/png'), errors }
+}
+
+if (!isMainThread) {
+	parentPort.on('message', async ({ id, job }) => {
+		try {
+			parentPort.postMessage({ id, ...(await renderImage(job)) })
+		} catch (e) {
+			parentPort.postMessage({ id, error: e?.message ?? `${e}` })
+		}
+	})
+}
+
+module.exports = { renderImage }
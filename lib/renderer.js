@@ -0,0 +1,226 @@
+const crypto = require('crypto')
+const path = require('path')
+const { Worker } = require('worker_threads')
+const { ImageCache } = require('./cache')
+const { ReconnectManager } = require('./reconnect')
+const { renderImage } = require('./render-worker')
+
+// rendered images are small, so this holds a few thousand buttons
+const DEFAULT_RESULT_CACHE_SIZE = 4 * 1024 * 1024
+
+function hashJob({ base, overlay, draw, border, width, height }) {
+	return crypto
+		.createHash('md5')
+		.update(`${width}x${height}\0`)
+		.update(base ?? '')
+		.update('\0')
+		.update(overlay ?? '')
+		.update('\0')
+		.update(JSON.stringify([draw ?? null, border ?? null]))
+		.digest('hex')
+}
+
+/**
+ * Composites feedback images in a pool of worker threads, so decoding and encoding pngs
+ * doesn't hold up the module while Captivate is sending lots of feedback changes.
+ *
+ * - identical jobs share one render, and their results are remembered
+ * - a job that is still queued is replaced when a newer job arrives for the same feedback,
+ *   and both callers get the newer image
+ * - with a worker count of 0, images are rendered on the main thread, one at a time
+ * - when a worker stops unexpectedly, images are rendered on the main thread until
+ *   a new worker is started after a backoff
+ */
+class ImageRenderer {
+	/** @type {{job: object, memoKey: string, keys: Set<string|undefined>, promise: Promise<string>, resolve: Function, reject: Function}[]} */
+	_queue = []
+
+	/** @type {Map<string, object>} queued or running jobs by memo key */
+	_pending = new Map()
+
+	/** @type {{worker?: Worker, busy?: object, retired?: boolean}[]} */
+	_workers = []
+
+	_inline = { busy: undefined }
+	_nextId = 1
+
+	rendered = 0
+	coalesced = 0
+
+	/**
+	 * @param {object} param0
+	 * @param {number} param0.workers how many worker threads to start when busy
+	 * @param {number} param0.cacheSize bytes of rendered images to remember
+	 * @param {number} param0.respawnDelay milliseconds to wait before replacing the first worker that stopped
+	 * @param {(level: string, message: string) => void} param0.log
+	 */
+	constructor({ workers = 2, cacheSize = DEFAULT_RESULT_CACHE_SIZE, respawnDelay = 1000, log = () => {} } = {}) {
+		this.workerCount = workers
+		this.results = new ImageCache(cacheSize)
+		this.respawn = new ReconnectManager({ baseDelay: respawnDelay, maxDelay: 60 * respawnDelay })
+		this.log = log
+	}
+
+	get stats() {
+		return {
+			rendered: this.rendered,
+			coalesced: this.coalesced,
+			memoHits: this.results.hits,
+			queued: this._queue.length,
+			workers: this._workers.length,
+		}
+	}
+
+	/**
+	 * Workers are started when there is work for them. Idle workers beyond the new count stop now,
+	 * busy ones when they finish their job.
+	 *
+	 * @param {number} count
+	 */
+	setWorkerCount(count) {
+		this.workerCount = Math.max(0, count)
+		for (const w of this._workers.filter((w) => !w.busy).slice(this.workerCount)) {
+			this._retire(w)
+		}
+	}
+
+	/**
+	 * @param {object} job see renderImage in render-worker.js
+	 * @param {string} [key] identifies the feedback the image is for, so outdated jobs can be dropped
+	 * @returns {Promise<string>} base64 png data uri
+	 */
+	render(job, key) {
+		const memoKey = hashJob(job)
+		const memo = this.results.get(memoKey)
+		if (memo !== undefined) return Promise.resolve(memo)
+
+		let entry = this._pending.get(memoKey)
+		if (entry) {
+			entry.keys.add(key)
+			this.coalesced++
+			return entry.promise
+		}
+
+		entry = { job, memoKey, keys: new Set([key]) }
+		entry.promise = new Promise((resolve, reject) => Object.assign(entry, { resolve, reject }))
+
+		// a job for the same feedback that hasn't started yet would only draw an outdated image
+		const index = key === undefined ? -1 : this._queue.findIndex((e) => e.keys.size == 1 && e.keys.has(key))
+		if (index >= 0) {
+			const [previous] = this._queue.splice(index, 1)
+			this._pending.delete(previous.memoKey)
+			entry.promise.then(previous.resolve, previous.reject)
+			this.coalesced++
+		}
+
+		this._pending.set(memoKey, entry)
+		this._queue.push(entry)
+		this._pump()
+		return entry.promise
+	}
+
+	/** Stop all workers and fail the jobs that haven't finished */
+	close() {
+		this.respawn.cancel()
+		const error = new Error('image renderer closed')
+		for (const entry of this._queue.splice(0)) {
+			entry.reject(error)
+		}
+		for (const w of this._workers.slice()) {
+			w.busy?.reject(error)
+			w.busy = undefined
+			this._retire(w)
+		}
+		this._pending.clear()
+	}
+
+	_pump() {
+		while (this._queue.length > 0) {
+			const w = this._idleWorker()
+			if (!w) return
+			const entry = this._queue.shift()
+			w.busy = entry
+			if (w.worker) {
+				w.id = this._nextId++
+				w.worker.postMessage({ id: w.id, job: entry.job })
+			} else {
+				renderImage(entry.job).then(
+					(reply) => this._finish(w, reply),
+					(e) => this._finish(w, { error: e?.message ?? `${e}` }),
+				)
+			}
+		}
+	}
+
+	_idleWorker() {
+		if (this.workerCount == 0) {
+			return this._inline.busy ? undefined : this._inline
+		}
+		const idle = this._workers.find((w) => !w.busy)
+		if (idle) return idle
+		if (this.respawn.pending) {
+			return this._inline.busy ? undefined : this._inline
+		}
+		if (this._workers.length < this.workerCount) return this._spawn()
+		return undefined
+	}
+
+	_spawn() {
+		const w = { worker: new Worker(path.join(__dirname, 'render-worker.js')) }
+		// don't keep the process alive just for idle workers
+		w.worker.unref()
+		w.worker.on('message', (reply) => {
+			if (w.busy && reply.id == w.id) this._finish(w, reply)
+		})
+		w.worker.on('error', (e) => {
+			this.log('error', `image render worker failed: ${e?.message ?? e}`)
+		})
+		w.worker.on('exit', () => {
+			this._workers = this._workers.filter((other) => other !== w)
+			if (w.retired) return
+
+			const delay = this.respawn.schedule(() => this._pump())
+			this.log(
+				'warn',
+				`image render worker stopped, rendering images on the main thread for ${Math.round(delay / 1000)}s`,
+			)
+			const entry = w.busy
+			w.busy = undefined
+			if (entry) this._queue.unshift(entry)
+			this._pump()
+		})
+		this._workers.push(w)
+		return w
+	}
+
+	_retire(w) {
+		w.retired = true
+		this._workers = this._workers.filter((other) => other !== w)
+		w.worker.terminate()
+	}
+
+	_finish(w, reply) {
+		const entry = w.busy
+		w.busy = undefined
+		if (w.worker && this._workers.length > this.workerCount) this._retire(w)
+		if (!entry) return
+		// the workers run again, so the next one that stops is replaced quickly
+		if (w.worker && !reply.error && this.respawn.attempts > 0 && !this.respawn.pending) this.respawn.reset()
+
+		this._pending.delete(entry.memoKey)
+		if (reply.error) {
+			entry.reject(new Error(reply.error))
+		} else {
+			for (const message of reply.errors) {
+				this.log('error', message)
+			}
+			// a render with unreadable inputs might succeed next time, so only remember clean ones
+			if (reply.errors.length == 0) this.results.set(entry.memoKey, reply.png64)
+			this.rendered++
+			entry.resolve(reply.png64)
+		}
+		this._pump()
+	}
+}
+
+module.exports = { ImageRenderer }
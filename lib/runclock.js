@@ -0,0 +1,90 @@
+/**
+ * Keeps track of how long titles and layers have been running.
+ *
+ * Time only counts while something is `running`. Pausing stops the clock without resetting it,
+ * and going out (`done` or `cued`) starts over.
+ */
+class RunClock {
+	/** @type {Map<string, {playState: string, since?: number, elapsed: number, duration?: number}>} */
+	_entries = new Map()
+
+	/**
+	 * @param {string} key a title id or layer key
+	 * @param {string} playState 'running', 'paused', 'done' or 'cued'
+	 * @param {object} param2
+	 * @param {number} [param2.duration] seconds the title or layer will run for, when known
+	 * @param {number} [param2.now] milliseconds, for testing
+	 * @returns {boolean} true when the play state changed
+	 */
+	update(key, playState, { duration = undefined, now = Date.now() } = {}) {
+		const entry = this._entries.get(key) ?? { playState: 'done', elapsed: 0 }
+		this._entries.set(key, entry)
+		if (duration != undefined) entry.duration = duration
+		if (entry.playState == playState) return false
+
+		if (playState == 'running') {
+			entry.since = now
+		} else if (playState == 'paused') {
+			if (entry.since != undefined) entry.elapsed += now - entry.since
+			entry.since = undefined
+		} else {
+			entry.since = undefined
+			entry.elapsed = 0
+			entry.duration = duration
+		}
+		entry.playState = playState
+		return true
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {string|undefined} the last play state given to update
+	 */
+	playState(key) {
+		return this._entries.get(key)?.playState
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {number} now milliseconds, for testing
+	 * @returns {number} seconds spent running
+	 */
+	elapsed(key, now = Date.now()) {
+		const entry = this._entries.get(key)
+		if (!entry) return 0
+		const ms = entry.elapsed + (entry.since != undefined ? now - entry.since : 0)
+		return ms / 1000
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {number} now milliseconds, for testing
+	 * @returns {number|undefined} seconds left to run, when the duration is known
+	 */
+	remaining(key, now = Date.now()) {
+		const duration = this._entries.get(key)?.duration
+		if (duration == undefined) return undefined
+		return Math.max(duration - this.elapsed(key, now), 0)
+	}
+
+	/** @returns {string[]} every title id and layer key the clock has seen */
+	keys() {
+		return [...this._entries.keys()]
+	}
+
+	/**
+	 * Forget a title or layer, e.g. one that isn't there anymore
+	 *
+	 * @param {string} key
+	 */
+	delete(key) {
+		this._entries.delete(key)
+	}
+
+	/** Forget everything, e.g. after reconnecting to another host */
+	clear() {
+		this._entries.clear()
+	}
+}
+
+module.exports = { RunClock }
@@ -0,0 +1,104 @@
+/**
+ * Raised when a call to the Captivate scheduler doesn't get a reply.
+ */
+class SchedulerCallError extends Error {
+	/**
+	 * @param {string} method the scheduler method that was called
+	 * @param {any[]} args the arguments it was called with (without the callback)
+	 * @param {'timeout'|'closed'} reason why the call failed
+	 * @param {string} [detail] extra information for the message
+	 */
+	constructor(method, args, reason, detail = '') {
+		super(`Captivate scheduler call ${method}(${describeArgs(args)}) failed: ${reason}${detail ? ` (${detail})` : ''}`)
+		this.name = 'SchedulerCallError'
+		this.method = method
+		this.args = args
+		this.reason = reason
+	}
+
+	// the module logger stringifies what it is given, so make sure the message is included
+	toJSON() {
+		return { name: this.name, message: this.message, method: this.method, reason: this.reason }
+	}
+}
+
+/**
+ * A short, printable version of the arguments of a scheduler call
+ *
+ * @param {any[]} args
+ * @returns {string}
+ */
+function describeArgs(args) {
+	let shown
+	try {
+		shown = JSON.stringify(args).slice(1, -1)
+	} catch {
+		shown = args.map((a) => `${a}`).join(',')
+	}
+	return shown.length > 200 ? shown.slice(0, 200) + '…' : shown
+}
+
+/**
+ * Wraps a scheduler function so it returns a promise instead of taking a callback.
+ *
+ * The promise rejects with a SchedulerCallError when Captivate doesn't reply within
+ * `timeout` milliseconds, or when `pending` is rejected with `rejectPendingCalls`.
+ *
+ * @param {string} method the name of the scheduler method (for errors)
+ * @param {Function} func the scheduler method
+ * @param {object} param2
+ * @param {() => number} param2.timeout returns the timeout in milliseconds, 0 to wait forever
+ * @param {Set<(reason: 'closed', detail?: string) => void>} param2.pending receives a reject function for every unanswered call
+ * @returns {(...args: any[]) => Promise<any>}
+ */
+function promiseify(method, func, { timeout = () => 0, pending = new Set() } = {}) {
+	return (...args) => {
+		return new Promise((resolve, reject) => {
+			const callArgs = [...args]
+			let timer
+
+			const settle = () => {
+				clearTimeout(timer)
+				pending.delete(fail)
+			}
+			const fail = (reason, detail) => {
+				settle()
+				reject(new SchedulerCallError(method, callArgs, reason, detail))
+			}
+
+			// for scheduler calls, the last argument is a callback.
+			args.push((e) => {
+				settle()
+				resolve(e)
+			})
+
+			const ms = timeout()
+			if (ms > 0) {
+				timer = setTimeout(() => fail('timeout', `no reply after ${ms}ms`), ms)
+			}
+			pending.add(fail)
+
+			try {
+				func(...args)
+			} catch (e) {
+				settle()
+				reject(e)
+			}
+		})
+	}
+}
+
+/**
+ * Rejects every scheduler call that is still waiting for a reply.
+ *
+ * @param {Set<(reason: 'closed', detail?: string) => void>} pending
+ * @param {string} [detail]
+ */
+function rejectPendingCalls(pending, detail) {
+	for (const fail of [...pending]) {
+		fail('closed', detail)
+	}
+	pending.clear()
+}
+
+module.exports = { SchedulerCallError, promiseify, rejectPendingCalls }
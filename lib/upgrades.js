@@ -1,13 +1,91 @@
+/**
+ * Upgrade scripts for buttons saved with older versions of this module.
+ *
+ * Companion runs every script once per connection, in this order, so scripts can't be removed
+ * or reordered. Each has a fixture in test/fixtures/upgrades showing what it changes.
+ */
+
+// the ids of our own actions, see makeCustomActionId
+const CUSTOM_ACTION_PREFIX = 'newblue.automation.js.'
+const VARIABLE_ACTION_IDS = ['variableSetAction', 'variableToggleAction', 'variableIncrementAction'].map(
+	(shortId) => `${CUSTOM_ACTION_PREFIX}${shortId}`,
+)
+
+// our own actions used to be registered like the ones from the automation registry
+const OLD_CUSTOM_ACTION_PREFIX = 'newblue.core.advanced~global~newblue.core.advanced.js.'
+
+// Captivate builds that didn't send scopes meant the global one
+const DEFAULT_FEEDBACK_SCOPE = 'global'
+
+/**
+ * Our own actions were once registered under the advanced actor, like the registry actions.
+ *
+ * @param {import('@companion-module/base').CompanionUpgradeContext} _context
+ * @param {import('@companion-module/base').CompanionStaticUpgradeProps} props
+ * @returns {import('@companion-module/base').CompanionStaticUpgradeResult}
+ */
+function upgradeCustomActionIds(_context, props) {
+	const updatedActions = []
+	for (const action of props.actions) {
+		if (action.actionId.startsWith(OLD_CUSTOM_ACTION_PREFIX)) {
+			action.actionId = CUSTOM_ACTION_PREFIX + action.actionId.slice(OLD_CUSTOM_ACTION_PREFIX.length)
+			updatedActions.push(action)
+		}
+	}
+	return { updatedConfig: null, updatedActions, updatedFeedbacks: [] }
+}
+
+/**
+ * Feedbacks from Captivate builds without scopes were saved as `actor~feedback`.
+ * They are `actor~scope~feedback` now.
+ *
+ * @param {import('@companion-module/base').CompanionUpgradeContext} _context
+ * @param {import('@companion-module/base').CompanionStaticUpgradeProps} props
+ * @returns {import('@companion-module/base').CompanionStaticUpgradeResult}
+ */
+function upgradeUnscopedFeedbackIds(_context, props) {
+	const updatedFeedbacks = []
+	for (const feedback of props.feedbacks) {
+		const parts = feedback.feedbackId.split('~')
+		if (parts.length == 2 && parts[0] && parts[1]) {
+			feedback.feedbackId = [parts[0], DEFAULT_FEEDBACK_SCOPE, parts[1]].join('~')
+			updatedFeedbacks.push(feedback)
+		}
+	}
+	return { updatedConfig: null, updatedActions: [], updatedFeedbacks }
+}
+
+/**
+ * Variable actions made before the titles were loaded name the title and variable in text fields.
+ * Choose the variable from the list instead, by the readable id made from those names.
+ *
+ * Only Captivate knows which title a name belongs to, so the readable id is kept. The module
+ * resolves it to the id that follows the title id when it loads the titles, see resolveVarId.
+ *
+ * @param {import('@companion-module/base').CompanionUpgradeContext} _context
+ * @param {import('@companion-module/base').CompanionStaticUpgradeProps} props
+ * @returns {import('@companion-module/base').CompanionStaticUpgradeResult}
+ */
+function upgradeVariableActionOptions(_context, props) {
+	const updatedActions = []
+	for (const action of props.actions) {
+		const { titlename, varname, ...options } = action.options
+		if (!VARIABLE_ACTION_IDS.includes(action.actionId) || !titlename || !varname || options.varid) continue
+
+		// the same id makeVarAliasDefinition makes
+		const aliasId = `${titlename}__${varname}`.toLowerCase().replace(/[^a-zA-Z0-9]/g, '_')
+		action.options = { ...options, varid: aliasId }
+		updatedActions.push(action)
+	}
+	return { updatedConfig: null, updatedActions, updatedFeedbacks: [] }
+}
+
 module.exports = [
 	/*
 	 * Place your upgrade scripts here
 	 * Remember that once it has been added it cannot be removed!
 	 */
-	// function (context, props) {
-	// 	return {
-	// 		updatedConfig: null,
-	// 		updatedActions: [],
-	// 		updatedFeedbacks: [],
-	// 	}
-	// },
+	upgradeCustomActionIds,
+	upgradeUnscopedFeedbackIds,
+	upgradeVariableActionOptions,
 ]
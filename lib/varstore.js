@@ -0,0 +1,102 @@
+/**
+ * Captivate sends values as text, but actions may have written numbers, e.g. by incrementing.
+ * `5` and `'5'` are the same value to Companion, so they are compared as text.
+ */
+function sameValue(a, b) {
+	return `${a ?? ''}` === `${b ?? ''}`
+}
+
+/**
+ * The one copy of the title variable values the module trusts, keyed by title id and variable name.
+ *
+ * Values change from both sides: our actions write them, and Captivate reports its own changes
+ * in data events. Events can get lost, e.g. while reconnecting, so the store is also reconciled
+ * against snapshots of the titles from time to time. Every write reports whether the value
+ * actually changed, so Companion only hears about real changes.
+ */
+class VariableStore {
+	/** @type {Map<string, Map<string, {value: any, changedAt: number}>>} */
+	_titles = new Map()
+
+	/**
+	 * Start over with the variables of these titles, e.g. after loading a project.
+	 *
+	 * @param {{id: string, variables: {variable: string, value: any}[]}[]} titles as sent by `getTitleControlInfo`
+	 * @param {number} now milliseconds, for testing
+	 */
+	replace(titles, now = Date.now()) {
+		this._titles.clear()
+		for (const title of titles) {
+			const variables = new Map()
+			for (const { variable, value } of title.variables ?? []) {
+				variables.set(variable, { value, changedAt: now })
+			}
+			this._titles.set(title.id, variables)
+		}
+	}
+
+	/**
+	 * @param {string} titleId
+	 * @param {string} name the Captivate variable name
+	 * @returns {boolean}
+	 */
+	has(titleId, name) {
+		return !!this._titles.get(titleId)?.has(name)
+	}
+
+	/**
+	 * @param {string} titleId
+	 * @param {string} name the Captivate variable name
+	 * @returns {any} the value, or undefined when the title has no such variable
+	 */
+	get(titleId, name) {
+		return this._titles.get(titleId)?.get(name)?.value
+	}
+
+	/**
+	 * Only variables the titles had when they were loaded can be set. Others would need new definitions.
+	 *
+	 * @param {string} titleId
+	 * @param {string} name the Captivate variable name
+	 * @param {any} value
+	 * @param {number} now milliseconds, for testing
+	 * @returns {boolean} true when the value changed
+	 */
+	set(titleId, name, value, now = Date.now()) {
+		const entry = this._titles.get(titleId)?.get(name)
+		if (!entry || sameValue(entry.value, value)) return false
+		entry.value = value
+		entry.changedAt = now
+		return true
+	}
+
+	/**
+	 * Bring the store in line with a snapshot of the titles. Values written after the snapshot
+	 * was requested are kept, since Captivate may not have applied them when it took the snapshot.
+	 * Titles and variables the store doesn't know are left for the next full load.
+	 *
+	 * @param {{id: string, variables: {variable: string, value: any}[]}[]} titles as sent by `getTitleControlInfo`
+	 * @param {number} requestedAt milliseconds, when the snapshot was requested
+	 * @returns {{titleId: string, name: string, value: any}[]} the values that changed
+	 */
+	reconcile(titles, requestedAt) {
+		const changes = []
+		for (const title of titles) {
+			const variables = this._titles.get(title.id)
+			if (!variables) continue
+			for (const { variable, value } of title.variables ?? []) {
+				const entry = variables.get(variable)
+				if (!entry || entry.changedAt > requestedAt || sameValue(entry.value, value)) continue
+				entry.value = value
+				changes.push({ titleId: title.id, name: variable, value })
+			}
+		}
+		return changes
+	}
+
+	clear() {
+		this._titles.clear()
+	}
+}
+
+module.exports = { VariableStore }
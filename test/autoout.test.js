@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { AutoOutTimers } = require('../lib/autoout')
+
+describe('AutoOutTimers', () => {
+	it('restarts the time when a title is triggered again', async (t) => {
+		t.mock.timers.enable({ apis: ['setTimeout', 'Date'] })
+		const fired = []
+		const timers = new AutoOutTimers({ onFire: (key, command) => fired.push([key, command]) })
+
+		timers.start('title', 10, 'cutout')
+		t.mock.timers.tick(8000)
+		assert.equal(timers.remaining('title'), 2)
+
+		timers.start('title', 10, 'cutout')
+		t.mock.timers.tick(8000)
+		assert.deepEqual(fired, [])
+		assert.equal(timers.size, 1)
+
+		t.mock.timers.tick(2000)
+		assert.deepEqual(fired, [['title', 'cutout']])
+		assert.equal(timers.size, 0)
+		assert.equal(timers.remaining('title'), undefined)
+	})
+
+	it('cancels one or all timers', (t) => {
+		t.mock.timers.enable({ apis: ['setTimeout', 'Date'] })
+		let changes = 0
+		const fired = []
+		const timers = new AutoOutTimers({ onFire: (key) => fired.push(key), onChange: () => changes++ })
+
+		timers.start('a', 5)
+		timers.start('b', 5)
+		timers.start('c', 5)
+		assert.equal(timers.cancel('a'), true)
+		assert.equal(timers.cancel('a'), false)
+		assert.equal(timers.cancelAll(), 2)
+		t.mock.timers.tick(10_000)
+
+		assert.deepEqual(fired, [])
+		assert.equal(changes, 5)
+	})
+})
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { LocalCache, ImageCache } = require('../lib/cache')
+
+describe('ImageCache', () => {
+	it('evicts the least recently used images beyond the budget', () => {
+		const images = new ImageCache(10)
+		images.set('a', '1234')
+		images.set('b', '1234')
+		assert.equal(images.get('a'), '1234') // a is now newer than b
+		images.set('c', '1234')
+
+		assert.equal(images.has('b'), false)
+		assert.equal(images.has('a'), true)
+		assert.equal(images.has('c'), true)
+		assert.deepEqual(images.stats, {
+			bytes: 8,
+			pinnedBytes: 0,
+			maxBytes: 10,
+			hits: 1,
+			misses: 0,
+			evictions: 1,
+			size: 2,
+		})
+	})
+
+	it('never evicts pinned images, and drops them with their group', () => {
+		const images = new ImageCache(4)
+		images.set('play_layer', '12345678', 'imageset')
+		images.set('a', '1234')
+		images.set('b', '1234')
+
+		assert.equal(images.has('play_layer'), true)
+		assert.equal(images.has('a'), false)
+		assert.equal(images.get('missing'), undefined)
+		assert.equal(images.misses, 1)
+
+		images.invalidateGroup('imageset')
+		assert.equal(images.has('play_layer'), false)
+		assert.equal(images.bytes, 4)
+		assert.equal(images.pinnedBytes, 0)
+	})
+
+	it('replaces images stored under the same key', () => {
+		const images = new ImageCache(100)
+		images.set('a', '1234')
+		images.set('a', '12')
+		assert.equal(images.bytes, 2)
+		assert.equal(images.size, 1)
+	})
+})
+
+describe('LocalCache', () => {
+	it('invalidates named images by group', async () => {
+		const cache = new LocalCache()
+		cache.setImageData('play_layer', 'abc', 'imageset')
+		cache.setImageData('icon', 'def', 'title-icons')
+		assert.equal(await cache.getImageData('play_layer'), 'abc')
+
+		cache.invalidateImageGroup('imageset')
+		assert.equal(cache.imageStats.size, 1)
+		assert.equal(await cache.getImageData('icon'), 'def')
+	})
+
+	it('prunes expired feedback states', async () => {
+		const cache = new LocalCache()
+		cache.store('actor', 'feedback', {}, { text: 'old' }, 1)
+		cache.store('actor', 'other', {}, { text: 'new' }, 60_000)
+		await new Promise((resolve) => setTimeout(resolve, 5))
+
+		cache.pruneExpired()
+		assert.equal(cache._data_cache.size, 1)
+		assert.deepEqual(cache.get('actor', 'other', {})[1], { text: 'new' })
+	})
+
+	it('remembers images that failed to load until it is time to retry', async (t) => {
+		const log = t.mock.fn()
+		const cache = new LocalCache({ log })
+		cache.setImageRetryPolicy({ baseDelay: 20, maxDelay: 1000 })
+		const counts = []
+		cache.onImageFailuresChanged = (count) => counts.push(count)
+
+		const missing = `${__dirname}/does-not-exist.png`
+		assert.equal(await cache.getImageData(missing), undefined)
+		assert.equal(cache.failingImageCount, 1)
+		assert.equal(log.mock.callCount(), 1)
+
+		// the second request doesn't try to load the file again
+		assert.equal(await cache.getImageData(missing), undefined)
+		assert.equal(log.mock.callCount(), 1)
+
+		// after the delay it is tried again, and the next delay is longer
+		await new Promise((resolve) => setTimeout(resolve, 25))
+		assert.equal(await cache.getImageData(missing), undefined)
+		assert.equal(log.mock.callCount(), 2)
+		assert.equal(cache._image_failures.get(missing).attempts, 2)
+
+		// providing the image clears the failure
+		cache.setImageData(missing, 'abc')
+		assert.equal(cache.failingImageCount, 0)
+		assert.deepEqual(counts, [1, 0])
+		assert.equal(log.mock.calls[0].arguments[0], 'error')
+	})
+
+	it('forgets failed images nobody asks for anymore', async (t) => {
+		const cache = new LocalCache({ log: t.mock.fn() })
+		cache.setImageRetryPolicy({ baseDelay: 20, maxDelay: 1000 })
+		const counts = []
+		cache.onImageFailuresChanged = (count) => counts.push(count)
+
+		const asked = `${__dirname}/does-not-exist.png`
+		const forgotten = `${__dirname}/also-missing.png`
+		await cache.getImageData(forgotten)
+		await cache.getImageData(asked)
+		assert.equal(cache.failingImageCount, 2)
+
+		// a feedback keeps asking for one of them
+		cache._image_failures.get(asked).askedAt = Date.now() + 1000
+		cache.pruneImageFailures(Date.now() + 1500)
+		assert.equal(cache.failingImageCount, 1)
+		assert.ok(cache._image_failures.has(asked))
+
+		cache.clearImageFailures()
+		assert.equal(cache.failingImageCount, 0)
+		assert.deepEqual(counts, [1, 2, 1, 0])
+	})
+})
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { hostCapabilities, parseBuild } = require('../lib/capabilities')
+
+describe('hostCapabilities', () => {
+	it('reads the build and edition from the host version info', () => {
+		assert.equal(parseBuild({ version: '5.9.240213' }), 240213)
+		assert.equal(parseBuild({ version: 'dev' }), undefined)
+
+		const broadcast = hostCapabilities({ host: 'TitlerLive', sku: 'SKUTL5BR', version: '5.9.240213' })
+		assert.equal(broadcast.edition, 'Broadcast')
+		assert.equal(broadcast.activeSheetInputName, false)
+
+		const present = hostCapabilities({ host: 'TitlerLive', sku: 'SKUTL5PR', version: '5.10.250301' })
+		assert.equal(present.edition, 'Present')
+		assert.equal(present.activeSheetInputName, true)
+
+		const old = hostCapabilities({ sku: 'SKUXX', version: '5.8.231001' })
+		assert.equal(old.edition, undefined)
+		assert.equal(old.activeSheetInputName, false)
+	})
+
+	it('goes by the date of the build', () => {
+		assert.equal(hostCapabilities({ version: '6.0.240101' }).activeSheetInputName, false)
+		assert.equal(hostCapabilities({ version: '5.9.250117' }).activeSheetInputName, false)
+		assert.equal(hostCapabilities({ version: '5.9.250118' }).activeSheetInputName, true)
+	})
+
+	it('falls back to the build date when the version has none', () => {
+		assert.equal(parseBuild({ version: 'dev', buildDate: 'Feb 13 2024' }), 240213)
+		assert.equal(parseBuild({ buildDate: 'Mar  3 2025' }), 250303)
+		assert.equal(parseBuild({ buildDate: 'yesterday' }), undefined)
+		assert.equal(hostCapabilities({ buildDate: 'Jan 20 2025' }).activeSheetInputName, true)
+	})
+
+	it('keeps the workarounds for hosts that do not say what they are', () => {
+		const capabilities = hostCapabilities(undefined)
+		assert.equal(capabilities.activeSheetInputName, false)
+		assert.equal(capabilities.edition, undefined)
+	})
+})
@@ -0,0 +1,620 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { Jimp } = require('jimp')
+const { MockCaptivate, PIXEL_PNG64 } = require('./mock-captivate')
+const { connectInstance, waitFor } = require('./harness')
+const UpgradeScripts = require('../lib/upgrades')
+
+const LOWER_THIRD = {
+	id: '{lower-third}',
+	name: 'Lower Third',
+	icon: `data:image/png;base64,${PIXEL_PNG64}`,
+	variables: [
+		{ variable: 'Name', value: 'Jane', type: 'text' },
+		{ variable: 'Score', value: '3', type: 'text' },
+		{ variable: 'Logo', value: '1', type: 'visible' },
+	],
+}
+
+const PLAY_ACTION = {
+	name: 'Play Action',
+	description: 'Play Action',
+	target: 'newblue.core.playout~global~newblue.core.playout.native.playAction',
+	options: [{ id: 'command', type: 'dropdown', label: 'Play command', default: 'auto', choices: [] }],
+}
+
+const TEXT_FEEDBACK = {
+	id: 'newblue.core.playout~global~newblue.core.playout.feedback.native.titleName',
+	label: 'Title Name',
+	options: [],
+}
+
+// Captivate is asked for feedback states without the scope
+const TEXT_FEEDBACK_STATE_ID = 'newblue.core.playout~newblue.core.playout.feedback.native.titleName'
+
+function makeCaptivate() {
+	return new MockCaptivate({
+		titles: [structuredClone(LOWER_THIRD)],
+		actions: [PLAY_ACTION],
+		feedbacks: [TEXT_FEEDBACK],
+		feedbackStates: { [TEXT_FEEDBACK_STATE_ID]: { text: 'Lower Third', textColor: 0xffffff } },
+	})
+}
+
+describe('CaptivateInstance against a mock Captivate', () => {
+	let captivate
+	let instance
+
+	beforeEach(async () => {
+		captivate = makeCaptivate()
+		await captivate.start()
+	})
+
+	afterEach(async () => {
+		await instance?.destroy()
+		instance = undefined
+		await captivate.stop()
+	})
+
+	it('connects and announces itself', async () => {
+		instance = await connectInstance(captivate)
+		const [call] = captivate.callsTo('notifyClientConnected')
+		assert.equal(call.args[0], 'com.newblue.companion-module-captivate')
+		await waitFor(() => instance.hostVersionInfo)
+		assert.equal(instance.hostVersionInfo.host, 'TitlerLive')
+		assert.ok(captivate.callsTo('scheduleCommand').some(({ args }) => args[0] == 'subscribe'))
+	})
+
+	it('adapts to what the host says it is', async () => {
+		captivate.hostVersionInfo = { host: 'TitlerLive', platform: 'windows', sku: 'SKUTL5PR', version: '5.8.231001' }
+		captivate.feedbacks = [{ ...TEXT_FEEDBACK, id: TEXT_FEEDBACK_STATE_ID }]
+		instance = await connectInstance(captivate)
+		assert.equal(instance.variableValues.host_edition, 'Present')
+		assert.equal(instance.variableValues.host_version, '5.8.231001')
+		assert.equal(instance.variableValues.host_platform, 'windows')
+
+		// feedbacks from hosts without scopes get the global scope, like the upgraded buttons
+		await waitFor(() => instance.feedbackDefinitions[TEXT_FEEDBACK.id])
+		assert.equal(instance.feedbackDefinitions[TEXT_FEEDBACK_STATE_ID], undefined)
+		const state = await instance.runFeedback(TEXT_FEEDBACK.id, {})
+		assert.equal(state.text, 'Lower Third')
+	})
+
+	it('still loads the titles when the host version cannot be read', async () => {
+		captivate.handlers.notifyClientConnected = () => 'not json'
+		instance = await connectInstance(captivate)
+		assert.equal(instance.variableValues.host_version, '')
+		assert.equal(instance.capabilities.activeSheetInputName, false)
+		assert.ok(instance.logs.some(({ level, message }) => level == 'error' && /host version/.test(message)))
+		assert.equal(instance.variableValues.lower_third__name, 'Jane')
+	})
+
+	it('still loads the titles when the host never answers who it is', async () => {
+		captivate.silent.add('notifyClientConnected')
+		instance = await connectInstance(captivate, { call_timeout: 0.2, heartbeat_interval: 60 })
+		assert.equal(instance.variableValues.host_version, '')
+		assert.equal(instance.variableValues.lower_third__name, 'Jane')
+		assert.ok(instance.heartbeatTimer)
+	})
+
+	it('starts over when the host never answers who it is and there is no heartbeat', async () => {
+		let answer = false
+		captivate.handlers.notifyClientConnected = function () {
+			if (answer) return this._notifyClientConnected()
+			answer = true
+			return new Promise(() => {})
+		}
+		instance = await connectInstance(captivate, { call_timeout: 0.1 })
+		assert.equal(captivate.callsTo('notifyClientConnected').length, 2)
+		assert.equal(instance.variableValues.host_version, captivate.hostVersionInfo.version)
+	})
+
+	it('reconnects when the connection closes while asking the host who it is', async () => {
+		let dropped = false
+		captivate.handlers.notifyClientConnected = function () {
+			if (dropped) return this._notifyClientConnected()
+			dropped = true
+			this.dropClients()
+		}
+		instance = await connectInstance(captivate)
+		assert.equal(captivate.callsTo('notifyClientConnected').length, 2)
+		assert.equal(captivate.clients.size, 1)
+	})
+
+	it('defines variables for every title variable and play state', async () => {
+		instance = await connectInstance(captivate)
+		const ids = instance.variableDefinitions.map((def) => def.variableId)
+		assert.ok(ids.includes('lower_third__name'))
+		assert.ok(ids.includes('play_state_title_lower_third'))
+		assert.equal(instance.variableValues.lower_third__name, 'Jane')
+		assert.equal(instance.variableValues.play_state_title_lower_third, 'done')
+	})
+
+	it('keeps title variables apart from the play state and run time variables', async () => {
+		captivate.titles[0].variables.push(
+			...['Play State', 'Elapsed', 'Remaining', 'Auto Out'].map((variable) => ({ variable, value: 'x', type: 'text' })),
+		)
+		instance = await connectInstance(captivate)
+		const ids = instance.variableDefinitions.map((def) => def.variableId)
+		assert.equal(new Set(ids).size, ids.length)
+		assert.equal(instance.variableValues.lower_third__play_state, 'x')
+		assert.equal(instance.variableValues.play_state_title_lower_third, 'done')
+	})
+
+	it('updates variables from data and play events', async () => {
+		instance = await connectInstance(captivate)
+		captivate.notify({ event: 'data', id: LOWER_THIRD.id, variables: [{ name: 'Name', value: 'John' }] })
+		await waitFor(() => instance.variableValues.lower_third__name == 'John')
+
+		const onAir = instance.makeCustomFeedbackId('boolean', 'titleOnAir')
+		assert.equal(await instance.runFeedback(onAir, { titleid: LOWER_THIRD.id, includePaused: true }), false)
+
+		captivate.notify({ event: 'play', id: LOWER_THIRD.id, state: 'Running' })
+		await waitFor(() => instance.variableValues.play_state_title_lower_third == 'running')
+		assert.ok(instance.checkedFeedbacks.includes(onAir))
+		assert.equal(await instance.runFeedback(onAir, { titleid: LOWER_THIRD.id, includePaused: true }), true)
+	})
+
+	it('tracks how long titles and layers have been running', async () => {
+		captivate.values['newblue.automation.layerstate'] = {
+			[LOWER_THIRD.id]: { playState: 'running', duration: 30 },
+			'Layer 2': { playState: 'Running' },
+		}
+		instance = await connectInstance(captivate)
+		await waitFor(() => instance.variableValues.elapsed_layer_layer_2 === 0)
+		assert.equal(instance.variableValues.remaining_title_lower_third, 30)
+		assert.equal(instance.variableValues.remaining_layer_layer_2, '')
+		assert.ok(instance.variableDefinitions.some((def) => def.variableId == 'elapsed_title_lower_third'))
+
+		await waitFor(() => instance.variableValues.elapsed_title_lower_third >= 1, 3000)
+		assert.equal(instance.variableValues.remaining_title_lower_third, 29)
+
+		const runningLonger = instance.makeCustomFeedbackId('boolean', 'titleRunningLonger')
+		assert.equal(await instance.runFeedback(runningLonger, { titleid: 'Layer 2', seconds: 0.5 }), true)
+		assert.equal(await instance.runFeedback(runningLonger, { titleid: LOWER_THIRD.id, seconds: 20 }), false)
+
+		// going out starts the clock over
+		captivate.values['newblue.automation.layerstate'] = {}
+		captivate.notify({ event: 'play', id: LOWER_THIRD.id, state: 'done' })
+		await waitFor(() => instance.variableValues.elapsed_title_lower_third === 0)
+		assert.equal(await instance.runFeedback(runningLonger, { titleid: LOWER_THIRD.id, seconds: 0 }), false)
+
+		// layers that are left out of the layer states have gone out, and lose their variables on refresh
+		await waitFor(() => instance.variableValues.elapsed_layer_layer_2 === 0)
+		assert.equal(await instance.runFeedback(runningLonger, { titleid: 'Layer 2', seconds: 0 }), false)
+		await instance.refreshIntegrations()
+		assert.ok(!instance.variableDefinitions.some((def) => def.variableId == 'elapsed_layer_layer_2'))
+		assert.ok(instance.variableDefinitions.some((def) => def.variableId == 'elapsed_title_lower_third'))
+	})
+
+	it('only publishes definitions and values that changed when refreshing', async () => {
+		instance = await connectInstance(captivate)
+		await waitFor(() => instance.publishedDefinitions.size == 4)
+		const published = []
+		for (const kind of ['Variable', 'Action', 'Feedback', 'Preset']) {
+			instance[`set${kind}Definitions`] = () => published.push(kind)
+		}
+		const sent = []
+		instance.setVariableValues = (values) => sent.push(values)
+		const skipped = () => instance.logs.filter(({ message }) => /not publishing/.test(message)).length
+
+		await instance.refreshIntegrations()
+		await waitFor(() => skipped() == 4)
+		assert.deepEqual(published, [])
+		assert.deepEqual(sent, [])
+
+		captivate.titles[0].variables[1].value = '4'
+		captivate.titles.push({ id: '{scorebug}', name: 'Scorebug', variables: [] })
+		await instance.refreshIntegrations()
+		await waitFor(() => published.includes('Action') && published.includes('Feedback'))
+		assert.ok(published.includes('Variable'))
+		assert.equal(sent.length, 1)
+		assert.equal(sent[0].lower_third__score, '4')
+		assert.equal(sent[0].play_state_title_scorebug, 'done')
+		assert.equal(sent[0].lower_third__name, undefined)
+	})
+
+	it('performs registry actions through the automation api', async () => {
+		instance = await connectInstance(captivate)
+		await instance.runAction(PLAY_ACTION.target, { command: 'take' })
+		const [call] = await waitFor(
+			() => captivate.callsTo('_cmp_v1_performAction').length && captivate.callsTo('_cmp_v1_performAction'),
+		)
+		assert.deepEqual(call.args, [PLAY_ACTION.target, { command: 'take' }])
+	})
+
+	it('performs built-in actions through the scheduler', async () => {
+		instance = await connectInstance(captivate)
+		await instance.runAction(instance.makeCustomActionId('titlePlayInAction'), { titleid: LOWER_THIRD.id })
+		await instance.runAction(instance.makeCustomActionId('variableIncrementAction'), {
+			varid: 'lower_third__score',
+			varincrement: 2,
+			action: 'still',
+		})
+		const calls = await waitFor(() => {
+			const calls = captivate.callsTo('scheduleAction')
+			return calls.length == 2 && calls
+		})
+		assert.deepEqual(calls[0].args, ['animin', '', LOWER_THIRD.id, {}])
+		assert.deepEqual(calls[1].args, ['still', '', LOWER_THIRD.id, { Score: 5 }])
+		assert.equal(instance.variableValues.lower_third__score, 5)
+	})
+
+	it('defines the built-in actions and feedbacks when the registry has none', async () => {
+		captivate.handlers._cmp_v1_query = () => null
+		instance = await connectInstance(captivate)
+		assert.ok(instance.actionDefinitions[instance.makeCustomActionId('titlePlayInAction')])
+		await waitFor(() => instance.feedbackDefinitions[instance.makeCustomFeedbackId('boolean', 'titleOnAir')])
+		assert.equal(instance.feedbackDefinitions[TEXT_FEEDBACK.id], undefined)
+	})
+
+	it('keeps the title variables while a refresh waits for its reply', async () => {
+		instance = await connectInstance(captivate)
+		const varid = instance.makeVarDefinition(LOWER_THIRD, 'Name').variableId
+		let reply
+		captivate.handlers.scheduleCommand = () => new Promise((resolve) => (reply = resolve))
+
+		const refresh = instance.refreshIntegrations()
+		await waitFor(() => reply)
+		assert.equal(instance.getVar(varid), 'Jane')
+
+		// a reply we can't read changes nothing
+		reply('not json')
+		await assert.rejects(refresh)
+		assert.equal(instance.getVar(varid), 'Jane')
+		assert.equal(instance.titles.length, 1)
+	})
+
+	it('catches variable changes that arrived without a data event', async () => {
+		instance = await connectInstance(captivate)
+		const setVariable = instance.makeCustomActionId('variableSetAction')
+		await instance.runAction(setVariable, { varid: 'lower_third__name', varvalue: 'John', action: 'still' })
+		assert.equal(instance.variableValues.lower_third__name, 'John')
+		await instance.runAction(setVariable, { varid: 'old_title__name', varvalue: 'John', action: 'still' })
+		assert.ok(instance.logs.some(({ level, message }) => level == 'warn' && /old_title__name/.test(message)))
+
+		// another controller changes the score, and Captivate doesn't tell us
+		captivate.titles[0].variables[0].value = 'John'
+		captivate.titles[0].variables[1].value = '7'
+		const sent = []
+		instance.setVariableValues = (values) => sent.push(values)
+		assert.equal(await instance.syncVariables(), 1)
+		assert.deepEqual(sent, [{ title_lower_third__score: '7', lower_third__score: '7' }])
+		assert.equal(await instance.syncVariables(), 0)
+		assert.equal(instance.getVar('lower_third__score'), '7')
+	})
+
+	it('keeps variable ids when a title is renamed', async () => {
+		instance = await connectInstance(captivate)
+		const ids = instance.variableDefinitions.map((def) => def.variableId)
+		assert.ok(ids.includes('title_lower_third__score'))
+		assert.ok(ids.includes('lower_third__score'))
+		assert.equal(instance.savedConfigs.at(-1).variable_aliases.lower_third__score, 'title_lower_third__score')
+
+		captivate.titles[0].name = 'Scoreboard'
+		await instance.refreshIntegrations()
+		assert.ok(instance.logs.some(({ level, message }) => level == 'info' && /renamed to "Scoreboard"/.test(message)))
+		assert.equal(instance.variableValues.scoreboard__score, '3')
+		assert.equal(instance.savedConfigs.at(-1).variable_aliases.scoreboard__score, 'title_lower_third__score')
+
+		// actions saved with the old readable id still find the variable
+		await instance.runAction(instance.makeCustomActionId('variableIncrementAction'), {
+			varid: 'lower_third__score',
+			varincrement: 1,
+			action: 'still',
+		})
+		assert.equal(instance.variableValues.title_lower_third__score, 4)
+		assert.equal(instance.variableValues.scoreboard__score, 4)
+
+		// and so does button text
+		assert.ok(instance.variableDefinitions.some((def) => def.variableId == 'lower_third__score'))
+		assert.equal(await instance.parseVariablesInString('$(test:lower_third__score)'), '4')
+
+		// the aliases of variables that are gone are dropped, and unchanged aliases aren't saved again
+		captivate.titles[0].variables = captivate.titles[0].variables.filter(({ variable }) => variable != 'Score')
+		await instance.refreshIntegrations()
+		const saves = instance.savedConfigs.length
+		const aliases = instance.savedConfigs.at(-1).variable_aliases
+		assert.equal(aliases.lower_third__score, undefined)
+		assert.equal(aliases.scoreboard__score, undefined)
+		assert.equal(aliases.scoreboard__name, 'title_lower_third__name')
+		assert.ok(!instance.variableDefinitions.some((def) => def.variableId == 'lower_third__score'))
+
+		await instance.refreshIntegrations()
+		assert.equal(instance.savedConfigs.length, saves)
+	})
+
+	it('runs variable actions upgraded from a config without aliases', async () => {
+		const upgradeVariableActionOptions = UpgradeScripts.find(({ name }) => name == 'upgradeVariableActionOptions')
+		const action = {
+			id: 'a1',
+			controlId: '1/0/0',
+			actionId: 'newblue.automation.js.variableSetAction',
+			options: { titlename: 'Lower Third', varname: 'Score', varvalue: '7', action: 'still' },
+		}
+		const config = { host: '127.0.0.1' }
+		const [upgraded] = upgradeVariableActionOptions(
+			{ currentConfig: config },
+			{ config, actions: [action], feedbacks: [] },
+		).updatedActions
+
+		instance = await connectInstance(captivate, config)
+		await instance.runAction(upgraded.actionId, upgraded.options)
+		assert.equal(instance.variableValues[instance.makeVarDefinition(LOWER_THIRD, 'Score').variableId], '7')
+	})
+
+	it('sets several variables of a title with one update', async () => {
+		instance = await connectInstance(captivate)
+		const setMultiple = instance.makeCustomActionId('variableSetMultipleAction')
+		await instance.runAction(setMultiple, {
+			titleid: LOWER_THIRD.id,
+			values: 'name = John\\nScore=$(test:lower_third__score)0\n# ignored\nRole=Host',
+			action: 'still',
+		})
+		await instance.runAction(setMultiple, {
+			titleid: 'Lower Third',
+			values: '{"Name": "Jane $(test:lower_third__score)", "Logo": ""}',
+			action: 'update',
+		})
+		await instance.runAction(setMultiple, { titleid: LOWER_THIRD.id, values: '{"Name": ', action: 'update' })
+
+		const calls = await waitFor(() => {
+			const calls = captivate.callsTo('scheduleAction')
+			return calls.length == 2 && calls
+		})
+		assert.deepEqual(calls[0].args, ['still', '', LOWER_THIRD.id, { Name: 'John', Score: '30', Role: 'Host' }])
+		assert.deepEqual(calls[1].args, ['update', '', LOWER_THIRD.id, { Name: 'Jane 30', Logo: '' }])
+		assert.equal(instance.variableValues.lower_third__name, 'Jane 30')
+		assert.ok(instance.logs.some(({ level, message }) => level == 'warn' && /no variable named Role/.test(message)))
+	})
+
+	it('sets a variable on every title that has it and reports when they drift apart', async () => {
+		const scorebug = {
+			id: '{scorebug}',
+			name: 'Scorebug',
+			variables: [{ variable: 'Score', value: '3', type: 'text' }],
+		}
+		captivate.titles.push(scorebug)
+		instance = await connectInstance(captivate)
+		const drift = instance.makeCustomFeedbackId('boolean', 'variableDrift')
+		assert.equal(await instance.runFeedback(drift, { varname: 'Score' }), false)
+
+		captivate.notify({ event: 'data', id: scorebug.id, variables: [{ name: 'Score', value: '4' }] })
+		await waitFor(() => instance.variableValues.scorebug__score == '4')
+		assert.equal(await instance.runFeedback(drift, { varname: 'Score' }), true)
+
+		const setAll = instance.makeCustomActionId('variableSetAllAction')
+		await instance.runAction(setAll, { varname: 'Score', varvalue: '$(test:scorebug__score)1', action: 'still' })
+		const calls = await waitFor(() => {
+			const calls = captivate.callsTo('scheduleAction')
+			return calls.length == 2 && calls
+		})
+		assert.deepEqual(
+			calls.map(({ args }) => args).sort((a, b) => a[2].localeCompare(b[2])),
+			[
+				['still', '', LOWER_THIRD.id, { Score: '41' }],
+				['still', '', scorebug.id, { Score: '41' }],
+			],
+		)
+		assert.equal(instance.variableValues.lower_third__score, '41')
+		assert.equal(await instance.runFeedback(drift, { varname: 'Score' }), false)
+
+		// incrementing by nothing leaves a number, which is still the same value
+		await instance.runAction(instance.makeCustomActionId('variableIncrementAction'), {
+			varid: instance.makeVarDefinition(LOWER_THIRD, 'Score').variableId,
+			varincrement: 0,
+			action: 'still',
+		})
+		assert.equal(instance.variableValues.lower_third__score, '41')
+		assert.equal(await instance.runFeedback(drift, { varname: 'Score' }), false)
+	})
+
+	it('takes titles out again after playing them for some seconds', async () => {
+		instance = await connectInstance(captivate)
+		const playFor = instance.makeCustomActionId('titlePlayForAction')
+		const options = { titleid: LOWER_THIRD.id, seconds: 0.2, incommand: 'cutin', outcommand: 'animout' }
+		await instance.runAction(playFor, options)
+		assert.equal(instance.variableValues.auto_out_title_lower_third, 1)
+		assert.equal(instance.variableValues.auto_out_pending, 1)
+
+		const calls = await waitFor(() => {
+			const calls = captivate.callsTo('scheduleAction')
+			return calls.length == 2 && calls
+		})
+		assert.deepEqual(
+			calls.map(({ args }) => args[0]),
+			['cutin', 'animout'],
+		)
+		assert.equal(instance.variableValues.auto_out_title_lower_third, '')
+		assert.equal(instance.variableValues.auto_out_pending, 0)
+
+		// cancelled timers never take the title out
+		await instance.runAction(playFor, { ...options, seconds: 0.2 })
+		await instance.runAction(instance.makeCustomActionId('titleCancelAutoOutsAction'), {})
+		assert.equal(instance.variableValues.auto_out_pending, 0)
+		await new Promise((resolve) => setTimeout(resolve, 300))
+		assert.equal(captivate.callsTo('scheduleAction').length, 3)
+	})
+
+	it('keeps the registry presets when publishing them fails', async () => {
+		instance = await connectInstance(captivate)
+		const published = []
+		instance.publishPresets = async (presets) => {
+			published.push(presets)
+			throw new Error('could not load an icon')
+		}
+		instance.initPresets()
+		await waitFor(() => instance.logs.some(({ message }) => /could not load an icon/.test(message)))
+		assert.equal(published.length, 1)
+		assert.notEqual(published[0], undefined)
+
+		// only a registry that doesn't answer leaves us with the project presets
+		captivate.handlers._cmp_v1_query = () => null
+		instance.initPresets()
+		await waitFor(() => published.length == 2)
+		assert.deepEqual(published[1], [])
+	})
+
+	it('only adds project presets when they are enabled', async () => {
+		instance = await connectInstance(captivate)
+		await waitFor(() => captivate.callsTo('_cmp_v1_query').some(({ args }) => args[0] == 'presets'))
+		assert.deepEqual(instance.presetDefinitions, [])
+		await instance.destroy()
+
+		instance = await connectInstance(captivate, { project_presets: true })
+		const presets = await waitFor(() => instance.presetDefinitions.length && instance.presetDefinitions)
+		const [titlePreset] = presets.filter((preset) => preset.category == 'Project Titles')
+		assert.equal(titlePreset.steps[0].down[0].actionId, instance.makeCustomActionId('titleToggleAction'))
+		assert.equal(titlePreset.feedbacks[0].feedbackId, instance.makeCustomFeedbackId('boolean', 'titleOnAir'))
+		assert.match(titlePreset.style.text, /\$\(test:play_state_title_lower_third\)/)
+
+		const variablePresets = presets.filter((preset) => preset.category == 'Project Variables: Lower Third')
+		assert.ok(variablePresets.length > 0)
+	})
+
+	it('draws title thumbnails from the cached icons', async () => {
+		instance = await connectInstance(captivate)
+		assert.equal(await instance.cache.getImageData(instance.makeTitleIconKey(LOWER_THIRD)), PIXEL_PNG64)
+
+		const thumbnail = instance.makeCustomFeedbackId('advanced', 'titleThumbnail')
+		const plain = await instance.runFeedback(thumbnail, { titleid: LOWER_THIRD.id, showPlayState: false })
+		assert.equal(plain.png64, PIXEL_PNG64)
+
+		// overlays are drawn at the size of the button, or a standard button when Companion doesn't say
+		const withOverlay = await instance.runFeedback(thumbnail, { titleid: LOWER_THIRD.id, showPlayState: true })
+		let image = await Jimp.read(Buffer.from(withOverlay.png64.replace(/^data:image\/png;base64,/, ''), 'base64'))
+		assert.deepEqual([image.bitmap.width, image.bitmap.height], [72, 72])
+
+		const large = await instance.runFeedback(
+			thumbnail,
+			{ titleid: LOWER_THIRD.id, showPlayState: true },
+			{ width: 144, height: 144 },
+		)
+		image = await Jimp.read(Buffer.from(large.png64.replace(/^data:image\/png;base64,/, ''), 'base64'))
+		assert.deepEqual([image.bitmap.width, image.bitmap.height], [144, 144])
+
+		assert.deepEqual(await instance.runFeedback(thumbnail, { titleid: '{missing}', showPlayState: true }), {})
+	})
+
+	it('keeps the image cache variables current between refreshes', async () => {
+		instance = await connectInstance(captivate)
+		const hits = instance.variableValues.image_cache_hits
+		const key = instance.makeTitleIconKey(LOWER_THIRD)
+		await instance.cache.getImageData(key)
+		await instance.cache.getImageData(key)
+		await waitFor(() => instance.variableValues.image_cache_hits == hits + 2)
+	})
+
+	it('sizes feedback images for the button, leaving room for the topbar', async () => {
+		instance = await connectInstance(captivate)
+		assert.deepEqual(instance.getFeedbackImageSize({}), { width: 72, height: 72 })
+		assert.deepEqual(instance.getFeedbackImageSize({}, { show_topbar: true }), { width: 72, height: 58 })
+		assert.deepEqual(instance.getFeedbackImageSize({ image: { width: 144, height: 144 } }, { showTopBar: true }), {
+			width: 144,
+			height: 116,
+		})
+		// Companion already left out its own topbar
+		assert.deepEqual(instance.getFeedbackImageSize({ image: { width: 72, height: 58 } }, { show_topbar: true }), {
+			width: 72,
+			height: 58,
+		})
+	})
+
+	it('asks Captivate for feedback states and adapts them for Companion', async () => {
+		instance = await connectInstance(captivate)
+		const state = await instance.runFeedback(TEXT_FEEDBACK.id, {})
+		assert.deepEqual(state, { text: 'Lower Third', color: 0xffffff })
+		assert.equal(captivate.callsTo('_cmp_v1_queryFeedbackState').length, 1)
+
+		// the state is cached for a short time
+		await instance.runFeedback(TEXT_FEEDBACK.id, {})
+		assert.equal(captivate.callsTo('_cmp_v1_queryFeedbackState').length, 1)
+	})
+
+	it('names the active spreadsheet for builds that need it', async () => {
+		const activeSheet = {
+			id: 'newblue.data.csv~global~newblue.data.csv.feedback.native.input-routed.activesheet',
+			label: 'Active Sheet',
+			options: [],
+		}
+		captivate.feedbacks = [activeSheet]
+		instance = await connectInstance(captivate)
+		await waitFor(() => instance.feedbackDefinitions[activeSheet.id])
+		await instance.runFeedback(activeSheet.id, {})
+		assert.equal(captivate.callsTo('_cmp_v1_queryFeedbackState')[0].args[2].inputName, 'Spreadsheet: _active_')
+		await instance.destroy()
+
+		captivate.hostVersionInfo = { ...captivate.hostVersionInfo, version: '5.9.250301' }
+		instance = await connectInstance(captivate)
+		await waitFor(() => instance.feedbackDefinitions[activeSheet.id])
+		await instance.runFeedback(activeSheet.id, {})
+		assert.equal(captivate.callsTo('_cmp_v1_queryFeedbackState')[1].args[2].inputName, undefined)
+	})
+
+	it('draws the primitives that feedback states ask for', async () => {
+		captivate.feedbackStates[TEXT_FEEDBACK_STATE_ID] = {
+			text: 'Clip 3 of 12',
+			draw: [
+				{ type: 'progress', value: 3, max: 12, color: '#00ff00' },
+				{ type: 'badge', text: 3 },
+			],
+		}
+		instance = await connectInstance(captivate)
+		const state = await instance.runFeedback(TEXT_FEEDBACK.id, {}, { width: 144, height: 144 })
+		assert.equal(state.text, 'Clip 3 of 12')
+
+		const image = await Jimp.read(Buffer.from(state.png64.replace(/^data:image\/png;base64,/, ''), 'base64'))
+		assert.equal(image.bitmap.width, 144)
+		assert.equal(image.getPixelColor(10, 140), 0x00ff00ff)
+		assert.equal(image.getPixelColor(100, 140), 0x404040ff)
+		assert.equal(image.getPixelColor(104, 22), 0xc80000ff)
+	})
+
+	it('times out scheduler calls that never get a reply', async () => {
+		instance = await connectInstance(captivate, { call_timeout: 0.1 })
+		captivate.silent.add('getValueForKey')
+		await assert.rejects(instance.sp.getValueForKey('newblue.automation.layerstate'), {
+			name: 'SchedulerCallError',
+			method: 'getValueForKey',
+			reason: 'timeout',
+		})
+	})
+
+	it('reconnects when Captivate goes away', async () => {
+		instance = await connectInstance(captivate)
+		const firstSocket = instance.socket
+		captivate.dropClients()
+		await waitFor(() => instance.status == 'disconnected')
+		assert.equal(instance.variableValues.connection_attempts, 1)
+		await waitFor(() => instance.status == 'ok' && instance.socket !== firstSocket)
+		assert.equal(captivate.clients.size, 1)
+		assert.equal(instance.variableValues.connection_attempts, 0)
+	})
+
+	it('reconnects when a heartbeat is missed', async () => {
+		instance = await connectInstance(captivate, { heartbeat_interval: 0.05, heartbeat_timeout: 0.05 })
+		captivate.silent.add('_cmp_v1_query')
+		await waitFor(() => instance.status == 'connection_failure')
+		captivate.silent.delete('_cmp_v1_query')
+		await waitFor(() => instance.status == 'ok')
+	})
+
+	it('releases the connection on destroy', async () => {
+		instance = await connectInstance(captivate)
+		await instance.runAction(instance.makeCustomActionId('titlePlayForAction'), {
+			titleid: LOWER_THIRD.id,
+			seconds: 10,
+			incommand: 'cutin',
+			outcommand: 'animout',
+		})
+		const sent = []
+		instance.setVariableValues = (values) => sent.push(values)
+		await instance.destroy()
+		assert.deepEqual(sent, [])
+		await waitFor(() => captivate.clients.size == 0)
+		assert.equal(instance.socket, undefined)
+		assert.equal(instance.scheduleRunner.size, 0)
+		assert.equal(instance.reconnect.pending, false)
+	})
+})
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { Jimp } = require('jimp')
+const { normalizeDrawing, drawPrimitives } = require('../lib/drawing')
+
+// colors in these tests are already in jimp format
+const asIs = (color) => color
+
+function blank(size = 72) {
+	return new Jimp({ width: size, height: size, color: 0x000000ff })
+}
+
+describe('normalizeDrawing', () => {
+	it('fills in defaults, scales sizes, and converts colors', () => {
+		const { primitives, errors } = normalizeDrawing(
+			[{ type: 'progress', value: 3, max: 12 }, { type: 'tally', width: 4 }, { type: 'sparkles' }],
+			2,
+			(color) => color * 256 + 0xff,
+		)
+		assert.deepEqual(errors, ['unknown drawing primitive: "sparkles"'])
+		assert.deepEqual(primitives[0], {
+			type: 'progress',
+			value: 0.25,
+			color: 0x00c800ff,
+			bgcolor: 0x404040ff,
+			position: 'bottom',
+			height: 12,
+		})
+		assert.equal(primitives[1].width, 8)
+	})
+
+	it('accepts a single primitive and keeps values between 0 and 1', () => {
+		const { primitives } = normalizeDrawing({ type: 'ring', value: 7 }, 1, asIs)
+		assert.equal(primitives.length, 1)
+		assert.equal(primitives[0].value, 1)
+	})
+})
+
+describe('drawPrimitives', () => {
+	it('draws a progress bar and a tally stripe', async () => {
+		const image = blank()
+		const { primitives } = normalizeDrawing(
+			[
+				{ type: 'progress', value: 0.5, color: 0x00ff00ff, bgcolor: 0x333333ff },
+				{ type: 'tally', color: 0xff0000ff, position: 'left' },
+			],
+			1,
+			asIs,
+		)
+		await drawPrimitives(image, primitives)
+		assert.equal(image.getPixelColor(30, 70), 0x00ff00ff)
+		assert.equal(image.getPixelColor(50, 70), 0x333333ff)
+		assert.equal(image.getPixelColor(2, 30), 0xff0000ff)
+		assert.equal(image.getPixelColor(36, 36), 0x000000ff)
+	})
+
+	it('draws a countdown ring clockwise from the top', async () => {
+		const image = blank()
+		const { primitives } = normalizeDrawing({ type: 'ring', value: 0.25, color: 0xffffffff }, 1, asIs)
+		await drawPrimitives(image, primitives)
+		assert.equal(image.getPixelColor(70, 36), 0x000000ff) // three o'clock is just past a quarter
+		assert.equal(image.getPixelColor(50, 5), 0xffffffff) // between twelve and three
+		assert.equal(image.getPixelColor(1, 36), 0x000000ff) // nine o'clock
+	})
+
+	it('draws a badge and text in the requested color', async () => {
+		const image = blank()
+		const { primitives } = normalizeDrawing(
+			[
+				{ type: 'badge', text: '12', corner: 'bottomleft', color: 0xffffffff, bgcolor: 0x0000ffff },
+				{ type: 'text', text: '40%', position: 'top', color: 0xffff00ff },
+			],
+			1,
+			asIs,
+		)
+		await drawPrimitives(image, primitives)
+		assert.equal(image.getPixelColor(3, 61), 0x0000ffff)
+
+		// the text is tinted, and stays in its line at the top
+		const colors = new Set()
+		image.scan(0, 0, 72, 20, (x, y) => colors.add(image.getPixelColor(x, y)))
+		assert.ok(colors.has(0xffff00ff))
+		image.scan(0, 30, 72, 10, (x, y) => assert.equal(image.getPixelColor(x, y), 0x000000ff))
+	})
+})
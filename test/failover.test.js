@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { MockCaptivate } = require('./mock-captivate')
+const { connectInstance, waitFor } = require('./harness')
+// the harness has to be loaded first, so captivate.js doesn't start the module
+const { parseHostList } = require('../captivate')
+
+describe('parseHostList', () => {
+	it('reads hostnames, IPv4 and IPv6 addresses, with and without ports', () => {
+		assert.deepEqual(parseHostList('10.0.0.2:9100, backup.local; 10.0.0.3'), [
+			'ws://10.0.0.2:9100',
+			'ws://backup.local:9023',
+			'ws://10.0.0.3:9023',
+		])
+		assert.deepEqual(parseHostList('fe80::1 [fe80::2]:9100 [::1]'), [
+			'ws://[fe80::1]:9023',
+			'ws://[fe80::2]:9100',
+			'ws://[::1]:9023',
+		])
+		assert.deepEqual(parseHostList(undefined), [])
+	})
+})
+
+describe('Failover between Captivate hosts', () => {
+	let primary
+	let backup
+	let instance
+
+	beforeEach(async () => {
+		primary = new MockCaptivate()
+		backup = new MockCaptivate()
+		await primary.start()
+		await backup.start()
+	})
+
+	afterEach(async () => {
+		await instance?.destroy()
+		instance = undefined
+		await primary.stop()
+		await backup.stop()
+	})
+
+	it('uses the first host that accepts the connection', async () => {
+		const unusedPort = primary.port
+		await primary.stop()
+		instance = await connectInstance(primary, { port: unusedPort, backup_hosts: `127.0.0.1:${backup.port}` })
+		assert.equal(backup.clients.size, 1)
+		assert.equal(instance.variableValues.connection_active_host, `127.0.0.1:${backup.port}`)
+	})
+
+	it('fails over to the backup when the primary drops', async () => {
+		instance = await connectInstance(primary, { backup_hosts: `127.0.0.1:${backup.port}` })
+		assert.equal(instance.variableValues.connection_active_host, `127.0.0.1:${primary.port}`)
+
+		const port = primary.port
+		await primary.stop()
+		await waitFor(() => instance.status == 'ok' && backup.clients.size == 1)
+		assert.equal(instance.variableValues.connection_active_host, `127.0.0.1:${backup.port}`)
+
+		// without failback, we stay on the backup even when the primary returns
+		await primary.start(port)
+		await new Promise((resolve) => setTimeout(resolve, 100))
+		assert.equal(primary.clients.size, 0)
+	})
+
+	it('fails back to the primary when it returns', async () => {
+		instance = await connectInstance(primary, {
+			backup_hosts: `127.0.0.1:${backup.port}`,
+			failback: true,
+			failback_interval: 0.05,
+		})
+		const port = primary.port
+		await primary.stop()
+		await waitFor(() => instance.status == 'ok' && backup.clients.size == 1)
+
+		await primary.start(port)
+		await waitFor(() => instance.status == 'ok' && primary.clients.size == 1 && backup.clients.size == 0)
+		assert.equal(instance.variableValues.connection_active_host, `127.0.0.1:${primary.port}`)
+	})
+})
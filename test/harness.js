@@ -0,0 +1,128 @@
+/**
+ * Runs CaptivateInstance outside of Companion.
+ *
+ * The instance talks to Companion through IPC, so the test instance records what it
+ * would have sent (variables, definitions, status, logs) instead of sending it.
+ */
+
+// captivate.js starts the module as soon as it is loaded, which needs a Companion host
+require('@companion-module/base/dist/entrypoint.js').runEntrypoint = () => {}
+process.send ??= () => true
+
+const { CaptivateInstance } = require('../captivate')
+
+class TestInstance extends CaptivateInstance {
+	variableDefinitions = []
+	variableValues = {}
+	actionDefinitions = {}
+	feedbackDefinitions = {}
+	presetDefinitions = []
+	statuses = []
+	checkedFeedbacks = []
+	logs = []
+	savedConfigs = []
+
+	get status() {
+		return this.statuses[this.statuses.length - 1]?.status
+	}
+
+	setVariableDefinitions(definitions) {
+		this.variableDefinitions = definitions
+	}
+
+	setVariableValues(values) {
+		Object.assign(this.variableValues, values)
+	}
+
+	setActionDefinitions(definitions) {
+		this.actionDefinitions = definitions
+	}
+
+	setFeedbackDefinitions(definitions) {
+		this.feedbackDefinitions = definitions
+	}
+
+	setPresetDefinitions(definitions) {
+		this.presetDefinitions = definitions
+	}
+
+	updateStatus(status, message = null) {
+		this.statuses.push({ status, message })
+	}
+
+	saveConfig(config) {
+		this.savedConfigs.push(config)
+	}
+
+	checkFeedbacks(...feedbackTypes) {
+		this.checkedFeedbacks.push(...feedbackTypes)
+	}
+
+	log(level, message) {
+		// InstanceBase logs before our fields are initialized
+		this.logs?.push({ level, message })
+	}
+
+	async parseVariablesInString(text) {
+		return text.replace(/\$\(([^:)]+):([^)]+)\)/g, (_match, _instance, id) => `${this.variableValues[id] ?? ''}`)
+	}
+
+	/**
+	 * Run an action the way Companion would
+	 *
+	 * @param {string} actionId
+	 * @param {object} options
+	 */
+	async runAction(actionId, options) {
+		const definition = this.actionDefinitions[actionId]
+		if (!definition) throw new Error(`Unknown action: ${actionId}`)
+		await definition.callback({ id: 'test', actionId, controlId: 'test', options }, this)
+	}
+
+	/**
+	 * Evaluate a feedback the way Companion would
+	 *
+	 * @param {string} feedbackId
+	 * @param {object} options
+	 */
+	async runFeedback(feedbackId, options, image = undefined) {
+		const definition = this.feedbackDefinitions[feedbackId]
+		if (!definition) throw new Error(`Unknown feedback: ${feedbackId}`)
+		return definition.callback(
+			{ id: 'test', feedbackId, controlId: 'test', type: definition.type, options, image },
+			{ parseVariablesInString: (text) => this.parseVariablesInString(text) },
+		)
+	}
+}
+
+/**
+ * Create an instance and connect it to a mock Captivate
+ *
+ * @param {import('./mock-captivate').MockCaptivate} captivate
+ * @param {object} config extra configuration for the connection
+ * @returns {Promise<TestInstance>}
+ */
+async function connectInstance(captivate, config = {}) {
+	const instance = new TestInstance({ id: 'test', upgradeScripts: [], _isInstanceBaseProps: true })
+	await instance.init({ host: '127.0.0.1', port: captivate.port, heartbeat_interval: 0, ...config })
+	await waitFor(() => instance.status == 'ok' && Object.keys(instance.actionDefinitions).length > 0)
+	return instance
+}
+
+/**
+ * Wait until `condition` returns something truthy
+ *
+ * @param {() => any} condition
+ * @param {number} timeout milliseconds
+ */
+async function waitFor(condition, timeout = 3000) {
+	const start = Date.now()
+	for (;;) {
+		const result = await condition()
+		if (result) return result
+		if (Date.now() - start > timeout) throw new Error(`Timed out waiting for ${condition}`)
+		await new Promise((resolve) => setTimeout(resolve, 10))
+	}
+}
+
+module.exports = { TestInstance, connectInstance, waitFor }
@@ -0,0 +1,68 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { MockCaptivate } = require('./mock-captivate')
+const { connectInstance, waitFor } = require('./harness')
+
+const TITLE = { id: '{scorebug}', name: 'Scorebug', variables: [{ variable: 'Home', value: '0', type: 'text' }] }
+
+const PLAY_ACTION = {
+	name: 'Play Action',
+	target: 'newblue.core.playout~global~newblue.core.playout.native.playAction',
+	options: [],
+}
+
+describe('Mirroring actions to secondary hosts', () => {
+	let primary
+	let mirror
+	let instance
+
+	beforeEach(async () => {
+		primary = new MockCaptivate({ titles: [structuredClone(TITLE)], actions: [PLAY_ACTION] })
+		mirror = new MockCaptivate({ titles: [structuredClone(TITLE)], actions: [PLAY_ACTION] })
+		await primary.start()
+		await mirror.start()
+	})
+
+	afterEach(async () => {
+		await instance?.destroy()
+		instance = undefined
+		await primary.stop()
+		await mirror.stop()
+	})
+
+	it('sends every action to the primary and the mirror', async () => {
+		instance = await connectInstance(primary, { mirror_hosts: `127.0.0.1:${mirror.port}` })
+		await waitFor(() => instance.variableValues.connection_mirrors == '1/1')
+
+		await instance.runAction(PLAY_ACTION.target, { command: 'auto' })
+		await instance.runAction(instance.makeCustomActionId('variableSetAction'), {
+			varid: 'scorebug__home',
+			varvalue: '7',
+			action: 'update',
+		})
+
+		for (const captivate of [primary, mirror]) {
+			await waitFor(() => captivate.callsTo('scheduleAction').length == 1)
+			await waitFor(() => captivate.callsTo('_cmp_v1_performAction').length == 1)
+			assert.deepEqual(captivate.callsTo('scheduleAction')[0].args, ['update', '', TITLE.id, { Home: '7' }])
+		}
+
+		// feedback and variables only come from the primary
+		assert.equal(mirror.callsTo('_cmp_v1_query').length, 0)
+		assert.equal(mirror.callsTo('scheduleCommand').length, 0)
+	})
+
+	it('keeps working while a mirror is down', async () => {
+		const port = mirror.port
+		await mirror.stop()
+		instance = await connectInstance(primary, { mirror_hosts: `127.0.0.1:${port}` })
+		assert.equal(instance.variableValues.connection_mirrors, '0/1')
+
+		await instance.runAction(PLAY_ACTION.target, {})
+		await waitFor(() => primary.callsTo('_cmp_v1_performAction').length == 1)
+
+		await mirror.start(port)
+		await waitFor(() => instance.variableValues.connection_mirrors == '1/1', 5000)
+	})
+})
@@ -0,0 +1,251 @@
+/**
+ * A stand-in for Captivate that speaks the QWebChannel protocol (see contrib/qwebchannel)
+ * over a WebSocket and publishes a fake `scheduler` object.
+ *
+ * Every method call is recorded in `calls`. Replies come from the project data given to the
+ * constructor, and can be replaced per method through `handlers`. Methods listed in `silent`
+ * never reply, which is how tests simulate a Captivate that stopped answering.
+ */
+const { WebSocketServer } = require('ws')
+
+// from contrib/qwebchannel/qwebchannel.js
+const MessageTypes = {
+	signal: 1,
+	propertyUpdate: 2,
+	init: 3,
+	idle: 4,
+	debug: 5,
+	invokeMethod: 6,
+	connectToSignal: 7,
+	disconnectFromSignal: 8,
+	setProperty: 9,
+	response: 10,
+}
+
+const METHODS = [
+	'notifyClientConnected',
+	'_cmp_v1_query',
+	'_cmp_v1_queryFeedbackState',
+	'_cmp_v1_performAction',
+	'scheduleCommand',
+	'scheduleAction',
+	'getImageSet',
+	'getValueForKey',
+]
+
+const SIGNALS = ['messageIn', '_cmp_v1_handleActorRegistryChangeEvent', '_cmp_v1_handleFeedbackChangeEvent', 'onNotify']
+
+// a 1x1 transparent png
+const PIXEL_PNG64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='
+
+const DEFAULT_HOST_VERSION_INFO = {
+	buildDate: 'Feb 13 2024',
+	buildTime: '15:25:17',
+	host: 'TitlerLive',
+	platform: 'macos',
+	sku: 'SKUTL5BR',
+	version: '5.9.240213',
+}
+
+class MockCaptivate {
+	/** @type {{method: string, args: any[]}[]} */
+	calls = []
+
+	/** @type {{[method: string]: (...args: any[]) => any}} replace the reply of a method */
+	handlers = {}
+
+	/** @type {Set<string>} methods that never reply */
+	silent = new Set()
+
+	/** @type {Set<import('ws').WebSocket>} */
+	clients = new Set()
+
+	/** @type {Map<import('ws').WebSocket, Set<number>>} the signals each client is connected to */
+	connectedSignals = new Map()
+
+	/**
+	 * @param {object} param0
+	 * @param {any[]} param0.titles as returned by `getTitleControlInfo`
+	 * @param {any[]} param0.actions companion actions from the automation registry
+	 * @param {any[]} param0.feedbacks companion feedbacks from the automation registry
+	 * @param {any[]} param0.presets companion presets from the automation registry
+	 * @param {{[actorFeedbackId: string]: object}} param0.feedbackStates replies to `_cmp_v1_queryFeedbackState`, keyed by `actorId~feedbackId`
+	 * @param {{[name: string]: string}} param0.images the automation image set
+	 * @param {{[key: string]: any}} param0.values replies to `getValueForKey`
+	 * @param {object} param0.hostVersionInfo reply to `notifyClientConnected`
+	 */
+	constructor({
+		titles = [],
+		actions = [],
+		feedbacks = [],
+		presets = [],
+		feedbackStates = {},
+		images = { play_layer: PIXEL_PNG64, play_layer_red: PIXEL_PNG64 },
+		values = { 'newblue.automation.layerstate': {} },
+		hostVersionInfo = DEFAULT_HOST_VERSION_INFO,
+	} = {}) {
+		this.titles = titles
+		this.actions = actions
+		this.feedbacks = feedbacks
+		this.presets = presets
+		this.feedbackStates = feedbackStates
+		this.images = images
+		this.values = values
+		this.hostVersionInfo = hostVersionInfo
+		this.lastUpdateTime = new Date().toISOString()
+	}
+
+	get url() {
+		return `ws://127.0.0.1:${this.port}`
+	}
+
+	/**
+	 * @param {number} port use 0 to pick a free port
+	 * @returns {Promise<number>} the port we are listening on
+	 */
+	start(port = 0) {
+		return new Promise((resolve, reject) => {
+			this.server = new WebSocketServer({ host: '127.0.0.1', port })
+			this.server.once('error', reject)
+			this.server.once('listening', () => {
+				this.port = this.server.address().port
+				resolve(this.port)
+			})
+			this.server.on('connection', (socket) => this._handleConnection(socket))
+		})
+	}
+
+	/** Close every client and stop listening */
+	async stop() {
+		this.dropClients()
+		if (!this.server) return
+		await new Promise((resolve) => this.server.close(() => resolve()))
+		this.server = undefined
+	}
+
+	/** Close the connection to every client, as if Captivate had quit */
+	dropClients() {
+		for (const socket of this.clients) {
+			socket.terminate()
+		}
+		this.clients.clear()
+	}
+
+	/**
+	 * Emit a scheduler signal to every client connected to it
+	 *
+	 * @param {string} signal
+	 * @param  {...any} args
+	 */
+	emit(signal, ...args) {
+		const index = SIGNALS.indexOf(signal)
+		if (index < 0) throw new Error(`Unknown signal: ${signal}`)
+		const message = JSON.stringify({ type: MessageTypes.signal, object: 'scheduler', signal: index, args })
+		for (const socket of this.clients) {
+			if (this.connectedSignals.get(socket)?.has(index)) socket.send(message)
+		}
+	}
+
+	/**
+	 * Send an `onNotify` event, like the ones Captivate sends for `subscribe`d events
+	 *
+	 * @param {object} data
+	 */
+	notify(data) {
+		this.emit('onNotify', JSON.stringify(data))
+	}
+
+	/**
+	 * @param {string} method
+	 * @returns {{method: string, args: any[]}[]}
+	 */
+	callsTo(method) {
+		return this.calls.filter((call) => call.method == method)
+	}
+
+	_handleConnection(socket) {
+		this.clients.add(socket)
+		this.connectedSignals.set(socket, new Set())
+		socket.on('close', () => {
+			this.clients.delete(socket)
+			this.connectedSignals.delete(socket)
+		})
+		socket.on('message', (raw) => {
+			const message = JSON.parse(raw.toString())
+			switch (message.type) {
+				case MessageTypes.init:
+					this._reply(socket, message.id, { scheduler: this._describeScheduler() })
+					break
+				case MessageTypes.connectToSignal:
+					this.connectedSignals.get(socket)?.add(message.signal)
+					break
+				case MessageTypes.disconnectFromSignal:
+					this.connectedSignals.get(socket)?.delete(message.signal)
+					break
+				case MessageTypes.invokeMethod:
+					this._invoke(socket, message)
+					break
+				default:
+					break
+			}
+		})
+	}
+
+	_describeScheduler() {
+		return {
+			methods: METHODS.map((name, index) => [name, index]),
+			signals: SIGNALS.map((name, index) => [name, index]),
+			properties: [],
+			enums: {},
+		}
+	}
+
+	async _invoke(socket, { id, method, args }) {
+		const name = typeof method == 'number' ? METHODS[method] : method
+		this.calls.push({ method: name, args })
+		if (this.silent.has(name)) return
+
+		const handler = this.handlers[name] ?? this[`_${name}`]
+		const result = handler ? await handler.apply(this, args) : undefined
+
+		// void methods in Qt reply with null, and the client ignores undefined replies
+		this._reply(socket, id, result ?? null)
+	}
+
+	_reply(socket, id, data) {
+		if (socket.readyState != socket.OPEN) return
+		socket.send(JSON.stringify({ type: MessageTypes.response, id, data }))
+	}
+
+	_notifyClientConnected() {
+		return JSON.stringify(this.hostVersionInfo)
+	}
+
+	__cmp_v1_query(kind) {
+		if (kind == 'actions') return { companion_actions: this.actions }
+		if (kind == 'feedbacks') return { companion_feedbacks: this.feedbacks }
+		if (kind == 'presets') return { companion_presets: this.presets }
+		if (kind == 'lastUpdateTime') return { companion_lastUpdateTime: this.lastUpdateTime }
+		return {}
+	}
+
+	__cmp_v1_queryFeedbackState(actorId, feedbackId) {
+		const state = this.feedbackStates[`${actorId}~${feedbackId}`]
+		return state ? JSON.stringify(state) : ''
+	}
+
+	_scheduleCommand(command) {
+		if (command == 'getTitleControlInfo') return JSON.stringify({ titles: this.titles })
+		return null
+	}
+
+	_getImageSet() {
+		return this.images
+	}
+
+	_getValueForKey(key) {
+		return this.values[key] ?? {}
+	}
+}
+
+module.exports = { MockCaptivate, PIXEL_PNG64 }
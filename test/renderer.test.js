@@ -0,0 +1,85 @@
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { Jimp } = require('jimp')
+const { ImageRenderer } = require('../lib/renderer')
+const { PIXEL_PNG64 } = require('./mock-captivate')
+
+const RED_BORDER = { color: 0xff0000ff, left: 2, top: 2, right: 2, bottom: 2 }
+
+async function readPng64(png64) {
+	return Jimp.read(Buffer.from(png64.replace(/^data:image\/png;base64,/, ''), 'base64'))
+}
+
+describe('ImageRenderer', () => {
+	let renderer
+
+	afterEach(() => {
+		renderer?.close()
+		renderer = undefined
+	})
+
+	it('draws borders in a worker thread', async () => {
+		renderer = new ImageRenderer({ workers: 1 })
+		const image = await readPng64(await renderer.render({ border: RED_BORDER }))
+
+		assert.equal(renderer.stats.workers, 1)
+		assert.equal(image.bitmap.width, 72)
+		assert.equal(image.getPixelColor(0, 0), 0xff0000ff)
+		assert.equal(image.getPixelColor(36, 36), 0x00000000)
+	})
+
+	it('renders on the main thread while a stopped worker is replaced', async () => {
+		const logs = []
+		renderer = new ImageRenderer({ workers: 1, respawnDelay: 50, log: (level, message) => logs.push(level, message) })
+		await renderer.render({ border: RED_BORDER })
+		await renderer._workers[0].worker.terminate()
+		assert.equal(renderer.stats.workers, 0)
+		assert.equal(renderer.respawn.pending, true)
+		assert.equal(logs[0], 'warn')
+
+		await renderer.render({ border: { ...RED_BORDER, left: 4 } })
+		assert.equal(renderer.stats.workers, 0)
+
+		await new Promise((resolve) => setTimeout(resolve, 100))
+		await renderer.render({ border: { ...RED_BORDER, left: 6 } })
+		assert.equal(renderer.stats.workers, 1)
+		assert.equal(renderer.respawn.attempts, 0)
+	})
+
+	it('renders identical jobs once and remembers the result', async () => {
+		renderer = new ImageRenderer({ workers: 0 })
+		const job = { base: PIXEL_PNG64, overlay: PIXEL_PNG64 }
+		const [first, second] = await Promise.all([renderer.render(job, 'a'), renderer.render({ ...job }, 'b')])
+		assert.equal(first, second)
+		assert.equal(renderer.rendered, 1)
+
+		assert.equal(await renderer.render(job, 'c'), first)
+		assert.equal(renderer.rendered, 1)
+		assert.equal(renderer.stats.memoHits, 1)
+	})
+
+	it('replaces a queued job when a newer one arrives for the same feedback', async () => {
+		renderer = new ImageRenderer({ workers: 0 })
+		const running = renderer.render({ border: RED_BORDER }, 'feedback')
+		const outdated = renderer.render({ border: { ...RED_BORDER, left: 4 } }, 'feedback')
+		const latest = renderer.render({ border: { ...RED_BORDER, left: 6 } }, 'feedback')
+
+		await running
+		assert.equal(await outdated, await latest)
+		assert.equal(renderer.rendered, 2)
+		assert.equal(renderer.coalesced, 1)
+
+		const image = await readPng64(await latest)
+		assert.equal(image.getPixelColor(5, 36), 0xff0000ff)
+	})
+
+	it('fails queued jobs when it is closed', async () => {
+		renderer = new ImageRenderer({ workers: 0 })
+		const running = renderer.render({ border: RED_BORDER })
+		const queued = renderer.render({ border: { ...RED_BORDER, top: 5 } })
+		renderer.close()
+		await assert.rejects(queued, /closed/)
+		await running
+	})
+})
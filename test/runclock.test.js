@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { RunClock } = require('../lib/runclock')
+
+describe('RunClock', () => {
+	it('counts time while running, holds it while paused, and resets when out', () => {
+		const clock = new RunClock()
+		assert.equal(clock.update('title', 'running', { now: 1000 }), true)
+		assert.equal(clock.update('title', 'running', { now: 2000 }), false)
+		assert.equal(clock.elapsed('title', 4000), 3)
+
+		clock.update('title', 'paused', { now: 4000 })
+		assert.equal(clock.elapsed('title', 9000), 3)
+
+		clock.update('title', 'running', { now: 10_000 })
+		assert.equal(clock.elapsed('title', 12_000), 5)
+
+		clock.update('title', 'done', { now: 12_000 })
+		assert.equal(clock.elapsed('title', 20_000), 0)
+		assert.equal(clock.playState('title'), 'done')
+	})
+
+	it('knows the remaining time when the duration is known', () => {
+		const clock = new RunClock()
+		clock.update('layer', 'running', { now: 0, duration: 10 })
+		assert.equal(clock.remaining('layer', 4000), 6)
+		assert.equal(clock.remaining('layer', 60_000), 0)
+
+		clock.update('other', 'running', { now: 0 })
+		assert.equal(clock.remaining('other', 4000), undefined)
+		assert.deepEqual(clock.keys(), ['layer', 'other'])
+	})
+})
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+
+const UpgradeScripts = require('../lib/upgrades')
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'upgrades')
+
+function loadFixture(name) {
+	return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'))
+}
+
+describe('upgrade scripts', () => {
+	for (const script of UpgradeScripts) {
+		it(`${script.name} upgrades its fixture`, () => {
+			const { config, actions, feedbacks, expected } = loadFixture(script.name)
+			const result = script({ currentConfig: config }, { config: null, actions, feedbacks })
+			assert.equal(result.updatedConfig, null)
+			assert.deepEqual(result.updatedActions, expected.actions)
+			assert.deepEqual(result.updatedFeedbacks, expected.feedbacks)
+
+			// nothing is left to do the second time
+			const again = script({ currentConfig: config }, { config: null, actions, feedbacks })
+			assert.deepEqual([...again.updatedActions, ...again.updatedFeedbacks], [])
+		})
+	}
+
+	it('has a fixture for every script', () => {
+		const fixtures = fs.readdirSync(FIXTURES).map((file) => path.basename(file, '.json'))
+		assert.deepEqual(fixtures.sort(), UpgradeScripts.map((script) => script.name).sort())
+	})
+})
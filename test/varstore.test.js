@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { VariableStore } = require('../lib/varstore')
+
+const TITLES = [
+	{
+		id: '{lower-third}',
+		variables: [
+			{ variable: 'Name', value: 'Jane' },
+			{ variable: 'Score', value: '3' },
+		],
+	},
+]
+
+describe('VariableStore', () => {
+	it('only reports values that changed', () => {
+		const store = new VariableStore()
+		store.replace(TITLES, 0)
+		assert.equal(store.get('{lower-third}', 'Name'), 'Jane')
+		assert.equal(store.set('{lower-third}', 'Name', 'Jane', 10), false)
+		assert.equal(store.set('{lower-third}', 'Name', 'John', 10), true)
+		assert.equal(store.get('{lower-third}', 'Name'), 'John')
+
+		// variables that weren't loaded would need new definitions
+		assert.equal(store.set('{lower-third}', 'Role', 'Host', 10), false)
+		assert.equal(store.set('{missing}', 'Name', 'John', 10), false)
+		assert.equal(store.has('{lower-third}', 'Role'), false)
+	})
+
+	it('reconciles with a snapshot, keeping values written after it was requested', () => {
+		const store = new VariableStore()
+		store.replace(TITLES, 0)
+		store.set('{lower-third}', 'Name', 'John', 200)
+
+		const snapshot = [
+			{
+				id: '{lower-third}',
+				variables: [
+					{ variable: 'Name', value: 'Jane' },
+					{ variable: 'Score', value: '4' },
+					{ variable: 'Role', value: 'Host' },
+				],
+			},
+			{ id: '{scorebug}', variables: [{ variable: 'Score', value: '1' }] },
+		]
+		assert.deepEqual(store.reconcile(snapshot, 100), [{ titleId: '{lower-third}', name: 'Score', value: '4' }])
+		assert.equal(store.get('{lower-third}', 'Name'), 'John')
+		assert.equal(store.get('{scorebug}', 'Score'), undefined)
+
+		// a later snapshot has seen our write
+		assert.deepEqual(store.reconcile(snapshot, 300), [{ titleId: '{lower-third}', name: 'Name', value: 'Jane' }])
+		assert.deepEqual(store.reconcile(snapshot, 400), [])
+	})
+
+	it('treats numbers and their text as the same value', () => {
+		const store = new VariableStore()
+		store.replace(TITLES, 0)
+		assert.equal(store.set('{lower-third}', 'Score', 3, 10), false)
+		assert.equal(store.set('{lower-third}', 'Score', 5, 10), true)
+
+		const snapshot = [{ id: '{lower-third}', variables: [{ variable: 'Score', value: '5' }] }]
+		assert.deepEqual(store.reconcile(snapshot, 100), [])
+	})
+})